@@ -5,10 +5,34 @@ import http from 'http';
 import cors from 'cors';
 import { Server } from 'socket.io';
 import { buildAllowedOrigins } from './src/config/env.js';
-import { initDb, ensureUser, incrementScore, getRoomsCol, getUsersCol, incrementGamesPlayed, addToTotalScore } from './src/db/mongo.js';
-import { broadcastRoomState, startTurn, beginDrawingPhase, endTurn, nextTurnOrRound, allGuessed, clearRoomTimers } from './src/domain/rooms.js';
-import { guessScoreForTime, drawerBonus } from './src/domain/scoring.js';
+import { initDb, ensureUser, incrementScore, getRoomsCol, getUsersCol, getGamesCol, getScoresCol, getSeasonsCol, getDrawingsCol, getCurrentSeason, resetSeason, linkChatInstance, getChatInstance, addToTotalScore, saveRoomSnapshot, loadRoomSnapshots, clearRoomSnapshot, closeDb } from './src/db/mongo.js';
+import { parsePeriod, periodBucket, scoreDocId } from './src/domain/periods.js';
+import { beginGameRecord, addGameParticipant, finishGameRecord } from './src/domain/history.js';
+import { summarizeStats, headToHead } from './src/domain/stats.js';
+import { broadcastRoomState, startTurn, beginDrawingPhase, endTurn, nextTurnOrRound, allGuessed, clearRoomTimers, currentDrawerId, getNextDrawerIndex, scoreCorrectGuess, publicChoices, onGameOver, onRoomState, resumeRoomTimers } from './src/domain/rooms.js';
+import { normalizeStroke, applyStroke, strokeCost, queueDraw, sendCanvasSnapshot, MAX_BATCH_OPS, MAX_BATCH_POINTS, DRAW_BATCH_ROOM, DRAW_LEGACY_ROOM } from './src/domain/canvas.js';
+import { decodePointRuns } from './src/domain/strokeCodec.js';
+import { addSpectator, removeSpectator, takeQueuedSpectators } from './src/domain/spectators.js';
+import { banPlayer, isBanned, castKickVote, clearKickVotes } from './src/domain/moderation.js';
+import { issueSessionToken, findResumablePlayer, markDisconnected, clearGrace, rebindPlayer } from './src/domain/sessions.js';
+import { defaultSettings, getSettings, validateSettings } from './src/domain/settings.js';
+import { teamsEnabled, teamCountOf, teamName, smallestTeam, balanceTeams, nonEmptyTeamCount, resetTeamRotation, noteTeamDrawer, dropFromTeamRotation, bankTeamScore, guessRole } from './src/domain/teams.js';
+import { validateCustomWords, registerWordSource } from './src/domain/words.js';
+import { isCorrectGuess, guessFeedback, containsWord } from './src/domain/guess.js';
+import { createRemoteWordSource } from './src/domain/remoteWords.js';
+import { listWordPacks } from './src/domain/wordpacks.js';
+import { listingFor, pickQuickPlayRoom } from './src/domain/lobby.js';
 import { createRateLimiter } from './src/security/rateLimit.js';
+import { serializeDetachedRoom, restoreRoom } from './src/domain/snapshot.js';
+import { RESUMING_PHASE, enterResuming, resumeReady, leaveResuming } from './src/domain/resume.js';
+import { createRoomStore } from './src/store/index.js';
+import { createSocketRouter } from './src/cluster/router.js';
+import { startOwnership } from './src/cluster/ownership.js';
+import { createBotApi } from './src/bot/botApi.js';
+import { createBotHandler, formatGameResults } from './src/bot/commands.js';
+import { parseInitData, startParamTarget, groupChatMatches, CHAT_ID_RE } from './src/security/telegramAuth.js';
+import { issueAuthToken, verifyAuthToken, bearerToken } from './src/security/authTokens.js';
+import { ROOM_CODE_RE, randomRoomCode, hashPassword, verifyPassword, createInvite, parseInvite, buildStartAppLink } from './src/security/roomAccess.js';
 
 const app = express();
 
@@ -31,16 +55,226 @@ app.use(express.json());
 
 app.get('/health', (_req, res) => res.json({ ok: true }));
 
-app.get('/api/leaderboard', async (_req, res) => {
+// Identity comes only from verified initData, exchanged for a short-lived session token.
+// Without a bot token, development builds may log in with a claimed tgId/name instead.
+const initDataBotToken = process.env.TG_BOT_TOKEN || process.env.TELEGRAM_BOT_TOKEN;
+const devLogin = !initDataBotToken && process.env.NODE_ENV !== 'production';
+
+function claimsFromInitData(auth) {
+  return {
+    tgId: auth.user?.id || null,
+    name: auth.user?.name || null,
+    photoUrl: auth.user?.photoUrl || null,
+    chatInstance: auth.chatInstance,
+    chatType: auth.chatType,
+    chatId: auth.chat?.id != null ? String(auth.chat.id) : null,
+    startParam: auth.startParam,
+  };
+}
+
+app.post('/api/auth', (req, res) => {
+  const { initData, tgId, name } = req.body || {};
+  if (initDataBotToken) {
+    const auth = parseInitData(initData, initDataBotToken);
+    if (!auth.ok) return res.status(401).json({ ok: false, error: auth.error });
+    if (!auth.user) return res.status(401).json({ ok: false, error: 'AUTH_FAILED' });
+    return res.json({ ok: true, ...issueAuthToken(claimsFromInitData(auth)) });
+  }
+  if (!devLogin) return res.status(503).json({ ok: false, error: 'auth not configured' });
+  const claims = { tgId: tgId ? String(tgId).slice(0, 32) : null, name: name ? String(name).slice(0, 50) : null, dev: true };
+  return res.json({ ok: true, ...issueAuthToken(claims) });
+});
+
+// Session token from the Authorization header; sets req.auth
+function requireSession(req, res, next) {
+  const auth = verifyAuthToken(bearerToken(req.get('authorization')));
+  if (!auth.ok) return res.status(401).json({ ok: false, error: auth.error });
+  req.auth = auth;
+  return next();
+}
+
+// Trade a still-valid token for a fresh one with the same identity
+app.post('/api/auth/refresh', requireSession, (req, res) => {
+  const { exp, ok, ...claims } = req.auth;
+  return res.json({ ok: true, ...issueAuthToken(claims) });
+});
+
+// Remote random-word APIs are opt-in; bundled word packs are the default pool
+if (['1', 'true'].includes(String(process.env.ENABLE_REMOTE_WORDS || '').toLowerCase())) {
+  registerWordSource(createRemoteWordSource());
+}
+
+app.get('/api/wordpacks', (req, res) => {
+  try {
+    const language = req.query.language ? String(req.query.language) : undefined;
+    const category = req.query.category ? String(req.query.category) : undefined;
+    return res.json({ ok: true, packs: listWordPacks({ language, category }) });
+  } catch (e) {
+    return res.status(500).json({ ok: false, error: e?.message || String(e) });
+  }
+});
+
+// Public rooms that are not over; rooms listed by other instances come from Mongo
+const LISTING_STALE_MS = 10 * 60 * 1000;
+app.get('/api/rooms', async (req, res) => {
   try {
+    const language = req.query.language ? String(req.query.language) : null;
+    const byCode = new Map();
+    for (const room of rooms.values()) {
+      if (room.phase === 'ended' || !getSettings(room).isPublic) continue;
+      byCode.set(room.code, listingFor(room));
+    }
     const roomsCol = getRoomsCol();
-    const usersCol = getUsersCol();
-    if (!usersCol) return res.json({ ok: true, users: [] });
+    if (roomsCol) {
+      const since = new Date(Date.now() - LISTING_STALE_MS);
+      const docs = await roomsCol.find(
+        { public: true, phase: { $ne: 'ended' }, listedAt: { $gte: since } },
+        { projection: { listing: 1 } }
+      ).limit(200).toArray();
+      for (const d of docs) {
+        if (d.listing && !rooms.has(d._id)) byCode.set(d._id, d.listing);
+      }
+    }
+    let list = Array.from(byCode.values());
+    if (language) list = list.filter(r => r.language === language);
+    list.sort((a, b) => (Number(b.joinable) - Number(a.joinable)) || (b.players - a.players));
+    return res.json({ ok: true, rooms: list });
+  } catch (e) {
+    return res.status(500).json({ ok: false, error: e?.message || String(e) });
+  }
+});
+
+// Full record of one game: participants, settings, every turn and the final standings
+app.get('/api/games/:id', async (req, res) => {
+  try {
+    const gamesCol = getGamesCol();
+    if (!gamesCol) return res.json({ ok: true, game: null });
+    const game = await gamesCol.findOne({ _id: String(req.params.id) }, { projection: { participantKeys: 0 } });
+    if (!game) return res.status(404).json({ ok: false, error: 'game not found' });
+    return res.json({ ok: true, game });
+  } catch (e) {
+    return res.status(500).json({ ok: false, error: e?.message || String(e) });
+  }
+});
+
+// Drawings from a game whose drawers agreed to share them, in turn order
+app.get('/api/games/:id/drawings', async (req, res) => {
+  try {
+    const drawingsCol = getDrawingsCol();
+    if (!drawingsCol) return res.json({ ok: true, drawings: [] });
+    const docs = await drawingsCol.find({ gameId: String(req.params.id), consent: true }, { projection: { png: 0, svg: 0 } })
+      .sort({ turnIndex: 1 })
+      .toArray();
+    const drawings = docs.map(({ _id, ...d }) => ({ id: _id, ...d, pngUrl: `/api/drawings/${_id}.png`, svgUrl: `/api/drawings/${_id}.svg` }));
+    return res.json({ ok: true, drawings });
+  } catch (e) {
+    return res.status(500).json({ ok: false, error: e?.message || String(e) });
+  }
+});
+
+app.get('/api/drawings/:id.:format(png|svg)', async (req, res) => {
+  try {
+    const drawingsCol = getDrawingsCol();
+    const doc = drawingsCol ? await drawingsCol.findOne({ _id: String(req.params.id), consent: true }) : null;
+    if (!doc) return res.status(404).json({ ok: false, error: 'drawing not found' });
+    // Short cache: the drawer can withdraw consent
+    res.set('Cache-Control', 'public, max-age=300');
+    if (req.params.format === 'svg') {
+      res.set('Content-Security-Policy', "default-src 'none'");
+      return res.type('image/svg+xml').send(doc.svg);
+    }
+    return res.type('png').send(Buffer.from(doc.png.buffer));
+  } catch (e) {
+    return res.status(500).json({ ok: false, error: e?.message || String(e) });
+  }
+});
+
+// The drawer can share a stored drawing later, or withdraw it
+app.post('/api/drawings/:id/consent', requireSession, async (req, res) => {
+  try {
+    if (!req.auth.tgId) return res.status(403).json({ ok: false, error: 'Telegram account required' });
+    const drawingsCol = getDrawingsCol();
+    if (!drawingsCol) return res.status(404).json({ ok: false, error: 'drawing not found' });
+    const _id = String(req.params.id);
+    const doc = await drawingsCol.findOne({ _id }, { projection: { drawer: 1 } });
+    if (!doc) return res.status(404).json({ ok: false, error: 'drawing not found' });
+    if (doc.drawer?.key !== String(req.auth.tgId)) return res.status(403).json({ ok: false, error: 'only the drawer can change this' });
+    const consent = req.body?.allow === true;
+    await drawingsCol.updateOne({ _id }, { $set: { consent } });
+    return res.json({ ok: true, consent });
+  } catch (e) {
+    return res.status(500).json({ ok: false, error: e?.message || String(e) });
+  }
+});
+
+// A player's games, newest first, without the per-turn detail
+app.get('/api/users/:tgId/games', async (req, res) => {
+  try {
+    const page = Math.max(1, Math.floor(Number(req.query.page) || 1));
+    const limit = Math.max(1, Math.min(50, Math.floor(Number(req.query.limit) || 10)));
+    const gamesCol = getGamesCol();
+    if (!gamesCol) return res.json({ ok: true, games: [], page, limit, total: 0, hasMore: false });
+    const key = String(req.params.tgId);
+    const filter = { participantKeys: key };
+    const [docs, total] = await Promise.all([
+      gamesCol.find(filter, { projection: { roomCode: 1, status: 1, startedAt: 1, endedAt: 1, standings: 1, winnerKey: 1, 'settings.maxRounds': 1, 'settings.scoring': 1 } })
+        .sort({ startedAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .toArray(),
+      gamesCol.countDocuments(filter),
+    ]);
+    const games = docs.map(g => ({ ...g, standing: (g.standings || []).find(s => s.key === key) || null }));
+    return res.json({ ok: true, games, page, limit, total, hasMore: page * limit < total });
+  } catch (e) {
+    return res.status(500).json({ ok: false, error: e?.message || String(e) });
+  }
+});
+
+// Bucket for a leaderboard request: calendar periods use today's, seasons the open one unless ?season= names a past one
+async function leaderboardBucket(period, season) {
+  if (period === 'all') return 'all';
+  if (period === 'season') return season ? String(season) : (await getCurrentSeason())?._id || null;
+  return periodBucket(period);
+}
+
+// period and optional chat (a Telegram chat_instance) from the query string, or an error message
+function leaderboardScope(query) {
+  const period = parsePeriod(query.period);
+  if (!period) return { error: 'period must be day, week, month, season or all' };
+  const chat = query.chat ? String(query.chat) : null;
+  if (chat && !CHAT_ID_RE.test(chat)) return { error: 'invalid chat' };
+  return { period, chat };
+}
+
+// Top players for a period, globally or for one group (shared by the REST route and the bot)
+async function fetchLeaderboard({ period, chat = null, season } = {}) {
+  const limit = Number(process.env.LEADERBOARD_LIMIT || 20);
+  const usersCol = getUsersCol();
+  if (!usersCol) return { bucket: null, users: [] };
+  if (period === 'all' && !chat) {
     const top = await usersCol.find({}, { projection: { _id: 1, name: 1, score: 1, tgId: 1, avatarUrl: 1 } })
       .sort({ score: -1 })
-      .limit(Number(process.env.LEADERBOARD_LIMIT || 20))
+      .limit(limit)
       .toArray();
-    return res.json({ ok: true, users: top });
+    return { bucket: null, users: top };
+  }
+  const scoresCol = getScoresCol();
+  const bucket = await leaderboardBucket(period, season);
+  if (!scoresCol || !bucket) return { bucket, users: [] };
+  const rows = await scoresCol.find({ chat, period, bucket }).sort({ score: -1 }).limit(limit).toArray();
+  const profiles = await usersCol.find({ _id: { $in: rows.map(r => r.userId) } }, { projection: { _id: 1, name: 1, tgId: 1, avatarUrl: 1 } }).toArray();
+  const byId = new Map(profiles.map(u => [u._id, u]));
+  const users = rows.map(r => ({ _id: r.userId, name: 'Player', tgId: null, avatarUrl: null, ...byId.get(r.userId), score: r.score }));
+  return { bucket, users };
+}
+
+app.get('/api/leaderboard', async (req, res) => {
+  try {
+    const { period, chat, error } = leaderboardScope(req.query);
+    if (error) return res.status(400).json({ ok: false, error });
+    const { bucket, users } = await fetchLeaderboard({ period, chat, season: req.query.season });
+    return res.json({ ok: true, period, chat, bucket, users });
   } catch (e) {
     return res.status(500).json({ ok: false, error: e?.message || String(e) });
   }
@@ -48,16 +282,57 @@ app.get('/api/leaderboard', async (_req, res) => {
 
 app.get('/api/rank', async (req, res) => {
   try {
+    const { period, chat, error } = leaderboardScope(req.query);
+    if (error) return res.status(400).json({ ok: false, error });
     const usersCol = getUsersCol();
     if (!usersCol) return res.json({ ok: true, rank: null, total: 0 });
     const tgId = req.query.tgId ? String(req.query.tgId) : null;
     if (!tgId) return res.json({ ok: true, rank: null, total: 0 });
-    const user = await usersCol.findOne({ _id: tgId }, { projection: { score: 1 } });
-    const total = await usersCol.countDocuments({});
-    if (!user) return res.json({ ok: true, rank: null, total });
-    const greater = await usersCol.countDocuments({ score: { $gt: Number(user.score || 0) } });
-    const rank = greater + 1;
-    return res.json({ ok: true, rank, total });
+    if (period === 'all' && !chat) {
+      const user = await usersCol.findOne({ _id: tgId }, { projection: { score: 1 } });
+      const total = await usersCol.countDocuments({});
+      if (!user) return res.json({ ok: true, rank: null, total });
+      const greater = await usersCol.countDocuments({ score: { $gt: Number(user.score || 0) } });
+      const rank = greater + 1;
+      return res.json({ ok: true, rank, total });
+    }
+    const scoresCol = getScoresCol();
+    const bucket = await leaderboardBucket(period, req.query.season);
+    if (!scoresCol || !bucket) return res.json({ ok: true, rank: null, total: 0 });
+    const total = await scoresCol.countDocuments({ chat, period, bucket });
+    const row = await scoresCol.findOne({ _id: scoreDocId(period, bucket, tgId, chat) });
+    if (!row) return res.json({ ok: true, rank: null, total, score: 0 });
+    const greater = await scoresCol.countDocuments({ chat, period, bucket, score: { $gt: row.score } });
+    return res.json({ ok: true, rank: greater + 1, total, score: row.score });
+  } catch (e) {
+    return res.status(500).json({ ok: false, error: e?.message || String(e) });
+  }
+});
+
+// Seasons, newest first; archived ones carry their champions
+app.get('/api/seasons', async (_req, res) => {
+  try {
+    const seasonsCol = getSeasonsCol();
+    if (!seasonsCol) return res.json({ ok: true, seasons: [] });
+    const seasons = await seasonsCol.find({}).sort({ number: -1 }).limit(50).toArray();
+    return res.json({ ok: true, seasons });
+  } catch (e) {
+    return res.status(500).json({ ok: false, error: e?.message || String(e) });
+  }
+});
+
+// Operator-only: archive the current season and start the next (needs ADMIN_TOKEN)
+app.post('/api/seasons/reset', async (req, res) => {
+  try {
+    const adminToken = process.env.ADMIN_TOKEN;
+    const given = Buffer.from(String(req.get('x-admin-token') || ''));
+    const expected = Buffer.from(String(adminToken || ''));
+    if (!adminToken || given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+      return res.status(403).json({ ok: false, error: 'forbidden' });
+    }
+    const result = await resetSeason({ keep: Math.max(1, Math.min(100, Number(req.body?.keep) || 10)) });
+    if (!result) return res.status(503).json({ ok: false, error: 'database not configured' });
+    return res.json({ ok: true, ...result });
   } catch (e) {
     return res.status(500).json({ ok: false, error: e?.message || String(e) });
   }
@@ -70,19 +345,51 @@ app.get('/api/profile', async (req, res) => {
     const tgId = req.query.tgId ? String(req.query.tgId) : null;
     if (!tgId) return res.json({ ok: true, user: null });
     const user = await usersCol.findOne({ _id: String(tgId) }, { projection: { _id: 1, name: 1, score: 1, tgId: 1, avatarUrl: 1, stats: 1 } });
+    if (user) user.stats = summarizeStats(user.stats);
     return res.json({ ok: true, user });
   } catch (e) {
     return res.status(500).json({ ok: false, error: e?.message || String(e) });
   }
 });
 
-app.post('/api/profile', async (req, res) => {
+// Head-to-head: both players' stats plus how they placed in games they played together
+app.get('/api/profile/:tgId/compare/:otherTgId', async (req, res) => {
+  try {
+    const a = String(req.params.tgId);
+    const b = String(req.params.otherTgId);
+    const usersCol = getUsersCol();
+    if (!usersCol) return res.json({ ok: true, users: [null, null], headToHead: headToHead([], a, b) });
+    const projection = { _id: 1, name: 1, score: 1, tgId: 1, avatarUrl: 1, stats: 1 };
+    const [userA, userB] = await Promise.all([
+      usersCol.findOne({ _id: a }, { projection }),
+      usersCol.findOne({ _id: b }, { projection }),
+    ]);
+    if (!userA || !userB) return res.status(404).json({ ok: false, error: 'user not found' });
+    for (const u of [userA, userB]) u.stats = summarizeStats(u.stats);
+    const gamesCol = getGamesCol();
+    const shared = gamesCol
+      ? await gamesCol.find({ participantKeys: { $all: [a, b] }, status: 'completed' }, { projection: { standings: 1 } })
+        .sort({ startedAt: -1 })
+        .limit(500)
+        .toArray()
+      : [];
+    return res.json({ ok: true, users: [userA, userB], headToHead: headToHead(shared, a, b) });
+  } catch (e) {
+    return res.status(500).json({ ok: false, error: e?.message || String(e) });
+  }
+});
+
+// Players can only edit their own profile; tgId comes from the session, not the body
+app.post('/api/profile', requireSession, async (req, res) => {
   try {
+    const { name, avatarUrl } = req.body || {};
+    if (!req.auth.tgId) return res.status(403).json({ ok: false, error: 'Telegram account required' });
+    if (req.body?.tgId && String(req.body.tgId) !== String(req.auth.tgId)) {
+      return res.status(403).json({ ok: false, error: 'cannot edit another user' });
+    }
     const usersCol = getUsersCol();
     if (!usersCol) return res.json({ ok: true });
-    const { tgId, name, avatarUrl } = req.body || {};
-    if (!tgId) return res.status(400).json({ ok: false, error: 'tgId required' });
-    const _id = String(tgId);
+    const _id = String(req.auth.tgId);
     const $set = {};
     if (name) $set.name = String(name).slice(0, 50);
     if (avatarUrl) $set.avatarUrl = String(avatarUrl);
@@ -116,10 +423,13 @@ const io = new Server(server, {
   },
 });
 
-const rooms = new Map();
-const DEFAULTS = { roundTime: 75, maxRounds: 3 };
-const MAX_PLAYERS = Number(process.env.MAX_PLAYERS || 12);
+// Live rooms this node owns; with ROOM_STORE=redis other nodes own the rest
+const roomStore = createRoomStore();
+const rooms = roomStore.rooms;
 const ROOM_CLEANUP_MS = 60000; // delete ended rooms after 60s
+const EMPTY_ROOM_TTL_MS = Number(process.env.EMPTY_ROOM_TTL_MS || 10 * 60000); // waiting rooms nobody is in
+const RECONNECT_GRACE_MS = Number(process.env.RECONNECT_GRACE_MS ?? 30000); // keep seat while offline; 0 disables
+const DRAW_POINTS_PER_WINDOW = Number(process.env.DRAW_POINTS_PER_WINDOW || 1500); // drawer budget per 3s, in points
 
 // Helper: apply late-join policy consistently
 function applyLateJoinPolicy(room, socketId) {
@@ -139,39 +449,54 @@ setInterval(() => {
     for (const [code, room] of rooms.entries()) {
       if (room && room.phase === 'ended') {
         try { clearRoomTimers(room); } catch {}
-        rooms.delete(code);
+        forgetRoom(code);
+      } else if (room && room.phase === 'waiting' && room.players.size === 0 && !room.spectators?.size) {
+        // Lobbies opened (e.g. by /play) that nobody joined, or everyone left
+        room.emptySince = room.emptySince || Date.now();
+        if (Date.now() - room.emptySince < EMPTY_ROOM_TTL_MS) continue;
+        forgetRoom(code);
+        (async () => {
+          try { const roomsCol = getRoomsCol(); if (roomsCol) await roomsCol.updateOne({ _id: code }, { $set: { phase: 'ended', endedAt: new Date() } }); } catch {}
+        })();
+      } else if (room) {
+        room.emptySince = null;
       }
     }
+    const now = Date.now();
+    for (const [chatId, at] of botPlayAt) {
+      if (now - at >= BOT_PLAY_COOLDOWN_MS) botPlayAt.delete(chatId);
+    }
   } catch {}
 }, ROOM_CLEANUP_MS);
 
-function isCloseGuess(guess, word) {
-  let a = guess.toLowerCase().trim();
-  let b = word.toLowerCase().trim();
-  if (!a || !b) return false;
-  // Early exit: large length difference relative to answer
-  const maxClose = Math.max(1, Math.floor(b.length * 0.25));
-  if (Math.abs(a.length - b.length) > maxClose) return false;
-  // Limit computation cost
-  const MAX_LEN = 40;
-  if (a.length > MAX_LEN) a = a.slice(0, MAX_LEN);
-  if (b.length > MAX_LEN) b = b.slice(0, MAX_LEN);
-  const dp = Array(b.length + 1).fill(0);
-  for (let j = 0; j <= b.length; j++) dp[j] = j;
-  for (let i = 1; i <= a.length; i++) {
-    let prev = dp[0];
-    dp[0] = i;
-    for (let j = 1; j <= b.length; j++) {
-      const temp = dp[j];
-      dp[j] = Math.min(
-        dp[j] + 1,
-        dp[j-1] + 1,
-        prev + (a[i-1] === b[j-1] ? 0 : 1)
-      );
-      prev = temp;
-    }
+// Random code not used in memory or (when configured) by a live Mongo room
+const ROOM_CODE_LENGTH = Number(process.env.ROOM_CODE_LENGTH || 4);
+async function generateRoomCode(length = ROOM_CODE_LENGTH) {
+  const roomsCol = getRoomsCol();
+  for (let attempt = 0; attempt < 20; attempt++) {
+    // Widen the code if short codes keep colliding
+    const code = randomRoomCode(attempt < 10 ? length : length + 1);
+    if (rooms.has(code)) continue;
+    try {
+      if (await roomStore.ownerOf(code)) continue;
+      if (roomsCol) {
+        const r = await roomsCol.findOne({ _id: code }, { projection: { phase: 1 } });
+        if (r && r.phase !== 'ended') continue;
+      }
+    } catch {}
+    return code;
   }
-  return dp[b.length] <= maxClose;
+  return null;
+}
+
+// Invite token plus Telegram startapp deep link for a room
+function inviteFor(room, opts) {
+  const token = createInvite(room.code, opts);
+  return { token, link: buildStartAppLink(process.env.WEBAPP_URL, { invite: token }) };
+}
+
+function validPassword(password) {
+  return typeof password === 'string' && password.length >= 4 && password.length <= 64;
 }
 
 function getRoom(code) {
@@ -185,7 +510,7 @@ function createRoom(code) {
     players: new Map(),
     drawerIndex: 0,
     round: 1,
-    maxRounds: DEFAULTS.maxRounds,
+    settings: defaultSettings(),
     currentWord: null,
     hint: null,
     phase: 'waiting',
@@ -195,9 +520,39 @@ function createRoom(code) {
     hostId: null,
   };
   rooms.set(code, room);
+  roomStore.claim(code)
+    .then(ok => { if (!ok) console.warn(`Room ${code} is owned by another node`); })
+    .catch(e => console.warn('Room claim failed:', e?.message || e));
   return room;
 }
 
+// Drop a room from this node and give up its lease
+function forgetRoom(code) {
+  rooms.delete(code);
+  roomStore.release(code).catch(() => {});
+}
+
+// Keep an offline player's seat, score and turn for the reconnect grace window
+function holdSeat(room, socketId) {
+  const player = room.players.get(socketId);
+  if (!player) return;
+  markDisconnected(player);
+  clearGrace(player);
+  player._graceHandle = setTimeout(() => {
+    const p = room.players.get(socketId);
+    if (!p || p.connected !== false || rooms.get(room.code) !== room) return;
+    dropPlayer(room, socketId).catch(() => {});
+  }, RECONNECT_GRACE_MS);
+}
+
+// Host is matched by socket id, or by tgId so a reconnecting host keeps control
+function isHost(room, socketId) {
+  const player = room.players.get(socketId);
+  const isHostById = room.hostId && socketId === room.hostId;
+  const isHostByTg = room.hostTgId && player?.tgId && String(room.hostTgId) === String(player.tgId);
+  return !!(isHostById || isHostByTg);
+}
+
 function normalizeDrawerIndex(room) {
   const len = Array.isArray(room.playerOrder) ? room.playerOrder.length : room.players.size;
   if (len <= 0) {
@@ -230,91 +585,346 @@ function addToPlayerOrderAfterDrawer(room, socketId) {
   normalizeDrawerIndex(room);
 }
 
-function verifyTelegramInitData(initData, botToken) {
+// Give a socket a seat with a fresh resumable session
+function seatPlayer(room, { id, name, tgId, avatarUrl, shareDrawings }) {
+  room.players.set(id, {
+    id,
+    name: name?.slice(0, 24) || 'Player',
+    tgId: tgId || null,
+    avatarUrl: avatarUrl ? String(avatarUrl) : null,
+    score: 0,
+    guessed: false,
+    connected: true,
+    shareDrawings: shareDrawings === true,
+    team: teamsEnabled(room) ? smallestTeam(room) : null,
+    sessionToken: issueSessionToken()
+  });
+  const player = room.players.get(id);
+  addGameParticipant(room, player);
+  io.to(id).emit('session', { code: room.code, token: player.sessionToken });
+  return player;
+}
+
+// Remove a player for good (left, kicked, or reconnect grace expired)
+async function dropPlayer(room, socketId, message = 'A player disconnected.') {
+  const code = room.code;
+  const wasDrawerId = currentDrawerId(room);
+  const player = room.players.get(socketId);
+  if (player) clearGrace(player);
+  if (player && teamsEnabled(room)) {
+    bankTeamScore(room, player);
+    dropFromTeamRotation(room, socketId);
+  }
+  room.players.delete(socketId);
+  removeFromPlayerOrder(room, socketId);
+  clearKickVotes(room, socketId);
+  // Hand host controls to the next player so the room isn't left without one
+  if (room.hostId === socketId && room.players.size > 0) {
+    const next = Array.from(room.players.values()).find(p => p.connected !== false) || room.players.values().next().value;
+    room.hostId = next.id;
+    room.hostTgId = next.tgId ? String(next.tgId) : null;
+  }
+  io.to(code).emit('chat', { system: true, message });
+  broadcastRoomState(io, room);
+  if (socketId === wasDrawerId && (room.phase === 'drawing' || room.phase === 'choosing')) {
+    try { endTurn(io, room); } catch {}
+  }
+  // Cleanup: delete room if empty
+  if (room.players.size === 0) {
+    if (room.phase !== 'waiting' && room.phase !== 'ended') finishGameRecord(room, 'aborted');
+    try { clearRoomTimers(room); } catch {}
+    try {
+      const roomsCol = getRoomsCol();
+      if (roomsCol) await roomsCol.updateOne({ _id: code }, { $set: { phase: 'ended', endedAt: new Date() } });
+    } catch {}
+    if (rooms.get(code) === room) forgetRoom(code);
+  }
+}
+
+// Evict a player and ban them (socket id and tgId) from this room for the rest of the game
+async function kickPlayer(room, targetId, reason) {
+  const target = room.players.get(targetId);
+  if (!target) return;
+  banPlayer(room, target);
+  io.to(targetId).emit('app_error', { code: 'KICKED', room: room.code, reason });
+  io.to(targetId).emit('chat', { system: true, message: reason === 'vote' ? 'You were vote-kicked from the room.' : 'You were kicked by the host.' });
+  try { io.in(targetId).socketsLeave(room.code); } catch {}
+  const message = reason === 'vote' ? `${target.name} was vote-kicked.` : `${target.name} was kicked by the host.`;
+  await dropPlayer(room, targetId, message);
+}
+
+// Rebind an existing seat (same session token or tgId) to a new socket
+function resumePlayer(socket, room, oldId, { name, avatarUrl }) {
+  const code = room.code;
+  const player = rebindPlayer(room, oldId, socket.id);
+  if (!player) return false;
+  if (name) player.name = String(name).slice(0, 24);
+  if (avatarUrl) player.avatarUrl = String(avatarUrl);
+  try { io.in(oldId).socketsLeave(code); } catch {}
+  socket.join(code);
+  socket.join(socket.id);
+  io.to(socket.id).emit('session', { code, token: player.sessionToken });
+  broadcastRoomState(io, room);
+  sendCanvasSnapshot(io, room, socket.id);
+  const drawerId = currentDrawerId(room);
+  if (drawerId === socket.id) {
+    if (room.phase === 'choosing' && room.choices?.length) io.to(socket.id).emit('word_choices', publicChoices(room));
+    if (room.phase === 'drawing' && room.currentWord) io.to(socket.id).emit('word_chosen', { ok: true, word: room.currentWord });
+  }
+  io.to(code).emit('chat', { system: true, message: `${player.name} reconnected.` });
+  if (resumeReady(room)) finishResuming(room);
+  return true;
+}
+
+// Telegram bot: commands arrive on a webhook guarded by Telegram's secret-token header
+const telegramBotToken = process.env.TELEGRAM_BOT_TOKEN || process.env.TG_BOT_TOKEN;
+const botWebhookSecret = process.env.TELEGRAM_WEBHOOK_SECRET;
+const BOT_PLAY_COOLDOWN_MS = Number(process.env.BOT_PLAY_COOLDOWN_MS || 30000);
+const botPlayAt = new Map(); // chatId -> when /play last created a room there
+const botApi = telegramBotToken ? createBotApi({ token: telegramBotToken, baseUrl: process.env.TELEGRAM_API_BASE || undefined }) : null;
+
+// Room for /play; the sender becomes host once they join, results are posted back to the chat.
+// A chat's lobby that is still waiting is handed out again, and new rooms are rate-limited per chat
+async function createBotRoom({ chatId, from }) {
+  const open = Array.from(rooms.values()).find(r => r.botChatId === chatId && r.phase === 'waiting');
+  if (open) return { code: open.code, link: inviteFor(open).link };
+  const now = Date.now();
+  const last = botPlayAt.get(chatId) || 0;
+  if (now - last < BOT_PLAY_COOLDOWN_MS) return { retryAfter: Math.ceil((last + BOT_PLAY_COOLDOWN_MS - now) / 1000) };
+  botPlayAt.set(chatId, now);
+  const code = await generateRoomCode();
+  if (!code) return null;
   try {
-    if (!initData || !botToken) return false;
-    const params = new URLSearchParams(initData);
-    const hash = params.get('hash');
-    params.delete('hash');
-    const data = Array.from(params.entries())
-      .map(([k, v]) => `${k}=${v}`)
-      .sort()
-      .join('\n');
-    const secret = crypto.createHash('sha256').update(botToken).digest();
-    const hmac = crypto.createHmac('sha256', secret).update(data).digest('hex');
-    return hmac === hash;
-  } catch { return false; }
+    const roomsCol = getRoomsCol();
+    if (roomsCol) {
+      await roomsCol.updateOne(
+        { _id: code },
+        { $set: { _id: code, phase: 'waiting', createdAt: new Date(), endedAt: null, botChatId: chatId } },
+        { upsert: true }
+      );
+    }
+  } catch {}
+  const room = createRoom(code);
+  room.botChatId = chatId;
+  if (from?.id) room.hostTgId = String(from.id);
+  return { code, link: inviteFor(room).link };
 }
 
+const handleBotUpdate = botApi ? createBotHandler({
+  api: botApi,
+  botUsername: process.env.TELEGRAM_BOT_USERNAME,
+  createRoom: createBotRoom,
+  // In a group, show that group's board once one of its rooms has been opened from the Mini App
+  getLeaderboard: async ({ period, chatId }) => {
+    const chat = Number(chatId) < 0 ? await getChatInstance(chatId) : null;
+    const { users } = await fetchLeaderboard({ period, chat });
+    return { users, group: !!chat };
+  },
+  getUser: async (tgId) => {
+    const usersCol = getUsersCol();
+    return usersCol ? usersCol.findOne({ _id: String(tgId) }) : null;
+  },
+}) : null;
+
+app.post('/telegram/webhook', async (req, res) => {
+  const given = Buffer.from(String(req.get('x-telegram-bot-api-secret-token') || ''));
+  const expected = Buffer.from(String(botWebhookSecret || ''));
+  if (!handleBotUpdate || !botWebhookSecret || given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+    return res.status(403).json({ ok: false, error: 'forbidden' });
+  }
+  try {
+    await handleBotUpdate(req.body);
+  } catch (e) {
+    console.warn('Bot update failed:', e?.message || e);
+  }
+  // Always 200 so Telegram doesn't redeliver an update we already tried
+  return res.json({ ok: true });
+});
+
+onGameOver((room, { standings, status }) => {
+  if (!botApi || !room.botChatId) return;
+  botApi.sendMessage(room.botChatId, formatGameResults({ code: room.code, standings, status }), { parse_mode: 'HTML' })
+    .catch(e => console.warn('Bot results post failed:', e?.message || e));
+});
+
 const mongoUri = process.env.MONGODB_URI;
 
-io.on('connection', (socket) => {
+// Every socket must present a session token from /api/auth (handshake auth.token)
+io.use((socket, next) => {
+  const auth = verifyAuthToken(socket.handshake.auth?.token);
+  if (!auth.ok) {
+    const err = new Error(auth.error);
+    err.data = { code: auth.error };
+    return next(err);
+  }
+  socket.data.auth = auth;
+  return next();
+});
+
+// Game event handlers for one socket (or a proxy for a socket on another node, see cluster/router.js)
+function attachGameHandlers(socket) {
   const chatLimiter = createRateLimiter({ count: 5, windowMs: 3000 });
-  const drawLimiter = createRateLimiter({ count: 120, windowMs: 3000 });
+  const drawLimiter = createRateLimiter({ count: DRAW_POINTS_PER_WINDOW, windowMs: 3000 });
+  let drawLimitedAt = 0;
   const roomCreateLimiter = createRateLimiter({ count: 3, windowMs: 10000 });
   const roomJoinLimiter = createRateLimiter({ count: 5, windowMs: 5000 });
   const startGameLimiter = createRateLimiter({ count: 2, windowMs: 10000 });
   
-  socket.on('create_room', ({ code }) => {
+  // Without a code the server picks a collision-free one (codeLength 4-8)
+  socket.on('create_room', ({ code, isPublic, password, codeLength } = {}) => {
     if (!roomCreateLimiter.allow()) {
       io.to(socket.id).emit('chat', { system: true, message: 'Slow down: creating rooms too fast.' });
       return;
     }
-    if (!code) return;
-    const raw = String(code || '').trim().toUpperCase();
-    if (!/^[A-Z0-9]{4}$/.test(raw)) {
+    let raw = code ? String(code).trim().toUpperCase() : null;
+    if (raw && !ROOM_CODE_RE.test(raw)) {
       io.to(socket.id).emit('app_error', { code: 'INVALID_ROOM_CODE', room: raw });
-      io.to(socket.id).emit('chat', { system: true, message: 'Invalid room code. Use 4 letters/numbers (e.g., AB1C).' });
+      io.to(socket.id).emit('chat', { system: true, message: 'Invalid room code. Use 4-8 letters/numbers (e.g., AB1C).' });
+      return;
+    }
+    if (password !== undefined && password !== null && password !== '' && !validPassword(password)) {
+      io.to(socket.id).emit('app_error', { code: 'INVALID_PASSWORD' });
+      io.to(socket.id).emit('chat', { system: true, message: 'Room password must be 4-64 characters.' });
       return;
     }
     (async () => {
+      if (!raw) {
+        raw = await generateRoomCode(codeLength ? Math.max(4, Math.min(8, Number(codeLength) || 4)) : undefined);
+        if (!raw) {
+          io.to(socket.id).emit('app_error', { code: 'ROOM_CODE_UNAVAILABLE' });
+          return;
+        }
+      }
+      const roomExists = () => {
+        io.to(socket.id).emit('app_error', { code: 'ROOM_EXISTS', room: raw });
+        io.to(socket.id).emit('chat', { system: true, message: `Room ${raw} already exists.` });
+      };
+      // A chosen code must be free here and on every other node, or the caller would take over a live room
+      try {
+        if (rooms.has(raw) || await roomStore.ownerOf(raw)) {
+          roomExists();
+          return;
+        }
+      } catch {}
+      const passwordHash = validPassword(password) ? hashPassword(password) : null;
       try {
         const roomsCol = getRoomsCol();
         if (roomsCol) {
           const r = await roomsCol.findOne({ _id: raw });
           if (r && r.phase !== 'ended') {
-            io.to(socket.id).emit('app_error', { code: 'ROOM_EXISTS', room: raw });
-            io.to(socket.id).emit('chat', { system: true, message: `Room ${raw} already exists.` });
+            roomExists();
             return;
           }
           await roomsCol.updateOne(
             { _id: raw },
-            { $set: { _id: raw, phase: 'waiting', createdAt: new Date(), endedAt: null } },
+            { $set: { _id: raw, phase: 'waiting', createdAt: new Date(), endedAt: null, passwordHash } },
             { upsert: true }
           );
         }
       } catch {}
+      // Someone may have opened the same code while we were waiting on Mongo
+      if (rooms.has(raw)) {
+        roomExists();
+        return;
+      }
       const created = createRoom(raw);
-      if (!created.hostId) created.hostId = socket.id;
+      created.hostId = socket.id;
+      if (isPublic === true) created.settings = { ...getSettings(created), isPublic: true };
+      if (passwordHash) created.passwordHash = passwordHash;
+      const invite = inviteFor(created);
       io.to(socket.id).emit('chat', { system: true, message: `Room ${created.code} created.` });
-      io.to(socket.id).emit('room_created', { code: created.code });
+      io.to(socket.id).emit('room_created', { code: created.code, protected: !!created.passwordHash, inviteToken: invite.token, inviteLink: invite.link });
       broadcastRoomState(io, created);
     })();
   });
 
-  socket.on('join_room', async ({ code, name, tgId, initData, avatarUrl }) => {
+  // Drawers opt in to keeping their drawings in the game's gallery (not shared by default)
+  socket.on('set_drawing_consent', ({ code, allow }) => {
+    const player = rooms.get(code)?.players.get(socket.id);
+    if (!player) return;
+    player.shareDrawings = allow === true;
+    io.to(socket.id).emit('drawing_consent', { ok: true, allow: player.shareDrawings });
+  });
+
+  // Host-only: set or clear (empty string) the room password
+  socket.on('set_room_password', async ({ code, password }) => {
+    const raw = String(code || '').trim().toUpperCase();
+    const room = rooms.get(raw);
+    if (!room) {
+      io.to(socket.id).emit('app_error', { code: 'ROOM_NOT_FOUND', room: raw });
+      return;
+    }
+    if (!isHost(room, socket.id)) {
+      io.to(socket.id).emit('app_error', { code: 'NOT_HOST', room: raw });
+      return;
+    }
+    if (password && !validPassword(password)) {
+      io.to(socket.id).emit('app_error', { code: 'INVALID_PASSWORD', room: raw });
+      return;
+    }
+    room.passwordHash = password ? hashPassword(password) : null;
+    try {
+      const roomsCol = getRoomsCol();
+      if (roomsCol) await roomsCol.updateOne({ _id: raw }, { $set: { passwordHash: room.passwordHash } });
+    } catch {}
+    io.to(raw).emit('chat', { system: true, message: password ? 'Room is now password protected.' : 'Room password removed.' });
+    broadcastRoomState(io, room);
+  });
+
+  // Host-only: signed invite (optionally single-use) that skips the password
+  socket.on('create_invite', ({ code, oneTime, ttlSec } = {}) => {
+    const raw = String(code || '').trim().toUpperCase();
+    const room = rooms.get(raw);
+    if (!room) {
+      io.to(socket.id).emit('app_error', { code: 'ROOM_NOT_FOUND', room: raw });
+      return;
+    }
+    if (!isHost(room, socket.id)) {
+      io.to(socket.id).emit('app_error', { code: 'NOT_HOST', room: raw });
+      return;
+    }
+    const ttl = Math.max(60, Math.min(7 * 86400, Number(ttlSec) || 86400));
+    const invite = inviteFor(room, { oneTime: oneTime === true, ttlSec: ttl });
+    io.to(socket.id).emit('invite_created', { code: raw, inviteToken: invite.token, inviteLink: invite.link, oneTime: oneTime === true, ttlSec: ttl });
+  });
+
+  const handleJoin = async ({ code, name, avatarUrl, sessionToken, spectate, password, invite, shareDrawings } = {}) => {
     if (!roomJoinLimiter.allow()) {
       io.to(socket.id).emit('chat', { system: true, message: 'Slow down: joining too fast.' });
       return;
     }
-    const raw = String(code || '').trim().toUpperCase();
-    if (!/^[A-Z0-9]{4}$/.test(raw)) {
+    // The session (verified at handshake) decides who the player is; a startapp link can stand in for the code
+    const auth = socket.data.auth;
+    const tgId = auth.tgId || null;
+    name = (tgId && auth.name) || name || auth.name;
+    avatarUrl = avatarUrl || auth.photoUrl;
+    if (!code && !invite && auth.startParam) ({ code, invite } = startParamTarget(auth.startParam));
+    // An invite carries its room code, so deep links can omit it
+    const parsedInvite = invite ? parseInvite(invite) : null;
+    const raw = String(code || (parsedInvite?.ok ? parsedInvite.code : '') || '').trim().toUpperCase();
+    if (!ROOM_CODE_RE.test(raw)) {
       io.to(socket.id).emit('app_error', { code: 'INVALID_ROOM_CODE', room: raw });
-      io.to(socket.id).emit('chat', { system: true, message: 'Invalid room code. Use 4 letters/numbers (e.g., AB1C).' });
+      io.to(socket.id).emit('chat', { system: true, message: 'Invalid room code. Use 4-8 letters/numbers (e.g., AB1C).' });
       return;
     }
 
-    // Optional Telegram auth enforcement: if bot token is configured, require valid initData
-    const botToken = process.env.TG_BOT_TOKEN;
-    if (botToken) {
-      const ok = verifyTelegramInitData(initData, botToken);
-      if (!ok) {
-        io.to(socket.id).emit('app_error', { code: 'AUTH_FAILED' });
-        io.to(socket.id).emit('chat', { system: true, message: 'Authentication failed. Please open inside Telegram.' });
-        return;
-      }
+    if (isBanned(getRoom(raw), { socketId: socket.id, tgId })) {
+      io.to(socket.id).emit('app_error', { code: 'BANNED', room: raw });
+      io.to(socket.id).emit('chat', { system: true, message: `You were removed from room ${raw} and can't rejoin this game.` });
+      return;
+    }
+
+    // Reclaim a seat held during the reconnect grace window, whatever the phase. The seat's own
+    // session token is proof enough; a bare tgId has to get past the password check below first
+    const existing = getRoom(raw);
+    const resumeId = existing && existing.phase !== 'ended' ? findResumablePlayer(existing, { sessionToken }) : null;
+    if (resumeId && resumeId !== socket.id) {
+      resumePlayer(socket, existing, resumeId, { name, avatarUrl });
+      return;
     }
 
+    // When Mongo is configured the room must have been created there first
+    let persisted = null;
     const roomsCol = getRoomsCol();
     if (roomsCol) {
       try {
@@ -324,89 +934,33 @@ io.on('connection', (socket) => {
           io.to(socket.id).emit('app_error', { code: 'ROOM_NOT_FOUND', room: raw });
           return;
         }
-        if (r.phase !== 'waiting') {
-          const reason = r.phase === 'ended' ? 'has ended' : `is not joinable (current phase: ${r.phase})`;
-          io.to(socket.id).emit('chat', { system: true, message: `Room ${raw} ${reason}.` });
-          io.to(socket.id).emit('app_error', { code: r.phase === 'ended' ? 'ROOM_ENDED' : 'ROOM_NOT_WAITING', room: raw, phase: r.phase });
-          return;
-        }
+        persisted = r;
       } catch {}
-      
-      let room = getRoom(raw);
-      if (!room) {
-        room = createRoom(raw);
-      }
-      // Capture or reconcile host identity
-      if (!room.hostId) room.hostId = socket.id; // initial creator (may be bot)
-      // If the room was created by a non-TG client (no hostTgId yet), promote first TG joiner to host
-      if (!room.hostTgId && tgId) {
-        room.hostTgId = String(tgId);
-        room.hostId = socket.id;
-      } else if (room.hostTgId && tgId && String(room.hostTgId) === String(tgId)) {
-        // If the same host (by tgId) reconnects with a new socket, move hostId
-        room.hostId = socket.id;
-      }
-      
-      if (room.players.has(socket.id)) {
-        const p = room.players.get(socket.id);
-        p.name = name?.slice(0, 24) || p.name;
-        p.tgId = tgId || p.tgId;
-        if (avatarUrl) p.avatarUrl = String(avatarUrl);
-        socket.join(raw);
-        socket.join(socket.id);
-        broadcastRoomState(io, room);
-        return;
-      }
-      
-      if (tgId) {
-        for (const [sid, p] of room.players.entries()) {
-          if (p.tgId && String(p.tgId) === String(tgId) && sid !== socket.id) {
-            room.players.delete(sid);
-            try { io.sockets.sockets.get(sid)?.leave(raw); } catch {}
-          }
-        }
-      }
-      
-      if (room.players.size >= MAX_PLAYERS) {
-        io.to(socket.id).emit('app_error', { code: 'ROOM_FULL', room: raw });
-        io.to(socket.id).emit('chat', { system: true, message: `Room ${raw} is full.` });
-        return;
-      }
-      
-      socket.join(raw);
-      socket.join(socket.id);
-      room.players.set(socket.id, {
-        id: socket.id, 
-        name: name?.slice(0, 24) || 'Player', 
-        tgId: tgId || null,
-        avatarUrl: avatarUrl ? String(avatarUrl) : null,
-        score: 0, 
-        guessed: false
-      });
-      
-      try { await ensureUser(tgId || socket.id, name, tgId); } catch {}
-      // Late-join policy: include joiner in current game's order
-      applyLateJoinPolicy(room, socket.id);
-      
-      broadcastRoomState(io, room);
-      io.to(raw).emit('chat', { system: true, message: `${name || 'Player'} joined.` });
-      return;
     }
-    
-    const room = getRoom(raw);
+    const persistedPhase = persisted ? persisted.phase : null;
+
+    let room = getRoom(raw);
+    if (!room && roomsCol) {
+      room = createRoom(raw);
+      // Recreated after a restart: bring back what the host set up, so a protected room stays protected
+      if (persisted?.passwordHash) room.passwordHash = persisted.passwordHash;
+      if (persisted?.settings) room.settings = persisted.settings;
+      if (Array.isArray(persisted?.customWords)) room.customWords = persisted.customWords;
+      if (persisted?.botChatId) room.botChatId = persisted.botChatId;
+    }
     if (!room) {
       io.to(socket.id).emit('chat', { system: true, message: `Room ${raw} not found. Ask host to create it.` });
       io.to(socket.id).emit('app_error', { code: 'ROOM_NOT_FOUND', room: raw });
       return;
     }
-    
-    if (room.phase !== 'waiting') {
-      const reason = room.phase === 'ended' ? 'has ended' : `is not joinable (current phase: ${room.phase})`;
-      io.to(socket.id).emit('chat', { system: true, message: `Room ${raw} ${reason}.` });
-      io.to(socket.id).emit('app_error', { code: room.phase === 'ended' ? 'ROOM_ENDED' : 'ROOM_NOT_WAITING', room: raw, phase: room.phase });
+
+    const phase = persistedPhase === 'ended' ? 'ended' : room.phase;
+    if (phase === 'ended') {
+      io.to(socket.id).emit('chat', { system: true, message: `Room ${raw} has ended.` });
+      io.to(socket.id).emit('app_error', { code: 'ROOM_ENDED', room: raw, phase });
       return;
     }
-    
+
     if (room.players.has(socket.id)) {
       const p = room.players.get(socket.id);
       p.name = name?.slice(0, 24) || p.name;
@@ -415,67 +969,138 @@ io.on('connection', (socket) => {
       socket.join(raw);
       socket.join(socket.id);
       broadcastRoomState(io, room);
+      sendCanvasSnapshot(io, room, socket.id);
       return;
     }
-    
-    if (tgId) {
-      for (const [sid, p] of room.players.entries()) {
-        if (p.tgId && String(p.tgId) === String(tgId) && sid !== socket.id) {
-          room.players.delete(sid);
-          try { io.sockets.sockets.get(sid)?.leave(raw); } catch {}
-        }
+
+    // Password-protected rooms admit the right password or a valid invite for this room
+    if (room.passwordHash && !room.spectators?.has(socket.id)) {
+      const inviteOk = parsedInvite?.ok && parsedInvite.code === raw && !(parsedInvite.oneTime && room.usedInvites?.has(parsedInvite.nonce));
+      if (!inviteOk && !verifyPassword(password, room.passwordHash)) {
+        let errCode = password ? 'WRONG_PASSWORD' : 'PASSWORD_REQUIRED';
+        if (parsedInvite && !parsedInvite.ok) errCode = parsedInvite.error;
+        else if (parsedInvite?.code === raw && parsedInvite.oneTime) errCode = 'INVITE_USED';
+        else if (parsedInvite) errCode = 'INVITE_INVALID';
+        io.to(socket.id).emit('app_error', { code: errCode, room: raw });
+        io.to(socket.id).emit('chat', { system: true, message: `Room ${raw} needs a password or a valid invite.` });
+        return;
+      }
+      if (inviteOk && parsedInvite.oneTime) {
+        if (!room.usedInvites) room.usedInvites = new Set();
+        room.usedInvites.add(parsedInvite.nonce);
       }
     }
-    
-    if (room.players.size >= MAX_PLAYERS) {
-      io.to(socket.id).emit('app_error', { code: 'ROOM_FULL', room: raw });
-      io.to(socket.id).emit('chat', { system: true, message: `Room ${raw} is full.` });
+
+    const tgResumeId = tgId ? findResumablePlayer(room, { tgId }) : null;
+    if (tgResumeId && tgResumeId !== socket.id) {
+      resumePlayer(socket, room, tgResumeId, { name, avatarUrl });
       return;
     }
-    
+
+    // A room opened from a Telegram group belongs to that group's leaderboard
+    if (!room.chatInstance && groupChatMatches(auth, room)) {
+      room.chatInstance = auth.chatInstance;
+      room.chatType = auth.chatType;
+      (async () => {
+        try {
+          const roomsCol = getRoomsCol();
+          if (roomsCol) await roomsCol.updateOne({ _id: raw }, { $set: { chatInstance: room.chatInstance, chatType: room.chatType } });
+          if (room.botChatId) await linkChatInstance(room.botChatId, room.chatInstance);
+        } catch {}
+      })();
+    }
+
+    // Mid-game or full rooms can still be watched
+    const full = room.players.size >= getSettings(room).maxPlayers;
+    const watchReason = spectate ? 'REQUESTED' : phase !== 'waiting' ? 'ROOM_NOT_WAITING' : full ? 'ROOM_FULL' : null;
+    if (watchReason) {
+      const wasSpectating = room.spectators?.has(socket.id);
+      addSpectator(room, { id: socket.id, name, tgId, avatarUrl, wantsToPlay: !spectate });
+      socket.join(raw);
+      socket.join(socket.id);
+      io.to(socket.id).emit('spectating', { code: raw, reason: watchReason, phase });
+      broadcastRoomState(io, room);
+      sendCanvasSnapshot(io, room, socket.id);
+      if (!wasSpectating) io.to(raw).emit('chat', { system: true, message: `${name || 'Player'} is watching.` });
+      return;
+    }
+
+    // Capture or reconcile host identity
+    if (!room.hostId) room.hostId = socket.id; // initial creator (may be bot)
+    // If the room was created by a non-TG client (no hostTgId yet), promote first TG joiner to host
+    if (!room.hostTgId && tgId) {
+      room.hostTgId = String(tgId);
+      room.hostId = socket.id;
+    } else if (room.hostTgId && tgId && String(room.hostTgId) === String(tgId)) {
+      // If the same host (by tgId) reconnects with a new socket, move hostId
+      room.hostId = socket.id;
+    }
+
+    // A spectator joining while the room is waiting takes a seat
+    const promoted = removeSpectator(room, socket.id);
     socket.join(raw);
     socket.join(socket.id);
-    room.players.set(socket.id, {
-      id: socket.id, 
-      name: name?.slice(0, 24) || 'Player', 
-      tgId: tgId || null,
-      avatarUrl: avatarUrl ? String(avatarUrl) : null,
-      score: 0, 
-      guessed: false
-    });
-    
+    seatPlayer(room, { id: socket.id, name, tgId, avatarUrl, shareDrawings });
+
     try { await ensureUser(tgId || socket.id, name, tgId); } catch {}
     // Late-join policy: include joiner in current game's order
     applyLateJoinPolicy(room, socket.id);
-    
+
     broadcastRoomState(io, room);
-    io.to(raw).emit('chat', { system: true, message: `${name || 'Player'} joined.` });
+    sendCanvasSnapshot(io, room, socket.id);
+    io.to(raw).emit('chat', { system: true, message: promoted ? `${name || 'Player'} joined the game.` : `${name || 'Player'} joined.` });
+  };
+  socket.on('join_room', handleJoin);
+
+  // Join the fullest public waiting room in the caller's language, or open a new public room
+  socket.on('quick_play', async ({ name, avatarUrl, language } = {}) => {
+    const lang = typeof language === 'string' && /^[a-z]{2}$/.test(language) ? language : undefined;
+    let room = pickQuickPlayRoom(rooms, { language: lang });
+    if (!room) {
+      if (!roomCreateLimiter.allow()) {
+        io.to(socket.id).emit('chat', { system: true, message: 'Slow down: creating rooms too fast.' });
+        return;
+      }
+      const code = await generateRoomCode();
+      if (!code) {
+        io.to(socket.id).emit('app_error', { code: 'ROOM_CODE_UNAVAILABLE' });
+        return;
+      }
+      const langPacks = lang ? listWordPacks({ language: lang }).map(p => p.id) : [];
+      try {
+        const roomsCol = getRoomsCol();
+        if (roomsCol) {
+          await roomsCol.updateOne(
+            { _id: code },
+            { $set: { _id: code, phase: 'waiting', createdAt: new Date(), endedAt: null, public: true } },
+            { upsert: true }
+          );
+        }
+      } catch {}
+      room = createRoom(code);
+      room.settings = { ...getSettings(room), isPublic: true, wordPacks: langPacks };
+    }
+    io.to(socket.id).emit('quick_play_matched', { code: room.code });
+    await handleJoin({ code: room.code, name, avatarUrl });
   });
 
   socket.on('leave_room', async ({ code }) => {
     const room = rooms.get(code);
     if (!room) return;
-    room.players.delete(socket.id);
-    removeFromPlayerOrder(room, socket.id);
     socket.leave(code);
-    io.to(code).emit('chat', { system: true, message: 'A player left.' });
-    broadcastRoomState(io, room);
-    // Cleanup: delete room if empty
-    if (room.players.size === 0) {
-      try { clearRoomTimers(room); } catch {}
-      try {
-        const roomsCol = getRoomsCol();
-        if (roomsCol) await roomsCol.updateOne({ _id: code }, { $set: { phase: 'ended', endedAt: new Date() } });
-      } catch {}
-      rooms.delete(code);
+    if (removeSpectator(room, socket.id)) {
+      broadcastRoomState(io, room);
+      return;
     }
+    if (!room.players.has(socket.id)) return;
+    await dropPlayer(room, socket.id, 'A player left.');
   });
 
   // Allow host to explicitly close a room
   socket.on('close_room', async ({ code }) => {
     try {
       const raw = String(code || '').trim().toUpperCase();
-      if (!/^[A-Z0-9]{4}$/.test(raw)) {
+      if (!ROOM_CODE_RE.test(raw)) {
         io.to(socket.id).emit('app_error', { code: 'INVALID_ROOM_CODE', room: raw });
         return;
       }
@@ -485,14 +1110,12 @@ io.on('connection', (socket) => {
         return;
       }
       // Only host may close the room (allow by hostId or hostTgId match)
-      const player = room.players.get(socket.id);
-      const isHostById = room.hostId && socket.id === room.hostId;
-      const isHostByTg = room.hostTgId && player?.tgId && String(room.hostTgId) === String(player.tgId);
-      if (!(isHostById || isHostByTg)) {
+      if (!isHost(room, socket.id)) {
         io.to(socket.id).emit('app_error', { code: 'NOT_HOST', room: raw });
         return;
       }
-      // Mark ended in memory
+      // Mark ended in memory; a game still in progress is recorded as aborted
+      if (room.phase !== 'waiting' && room.phase !== 'ended') finishGameRecord(room, 'aborted');
       room.phase = 'ended';
       try { clearRoomTimers(room); } catch {}
       // Persist ended status if Mongo is configured
@@ -507,6 +1130,216 @@ io.on('connection', (socket) => {
     } catch {}
   });
 
+  // Host-only: remove a player immediately
+  socket.on('kick_player', async ({ code, playerId }) => {
+    const raw = String(code || '').trim().toUpperCase();
+    const room = rooms.get(raw);
+    if (!room) {
+      io.to(socket.id).emit('app_error', { code: 'ROOM_NOT_FOUND', room: raw });
+      return;
+    }
+    if (!isHost(room, socket.id)) {
+      io.to(socket.id).emit('app_error', { code: 'NOT_HOST', room: raw });
+      return;
+    }
+    if (playerId === socket.id) {
+      io.to(socket.id).emit('app_error', { code: 'CANNOT_KICK_SELF', room: raw });
+      return;
+    }
+    if (!room.players.has(playerId)) {
+      io.to(socket.id).emit('app_error', { code: 'PLAYER_NOT_FOUND', room: raw });
+      return;
+    }
+    await kickPlayer(room, playerId, 'host');
+  });
+
+  // Any player can vote; a majority of the other online players evicts the target
+  socket.on('vote_kick', async ({ code, playerId }) => {
+    const raw = String(code || '').trim().toUpperCase();
+    const room = rooms.get(raw);
+    if (!room) {
+      io.to(socket.id).emit('app_error', { code: 'ROOM_NOT_FOUND', room: raw });
+      return;
+    }
+    const result = castKickVote(room, socket.id, playerId);
+    if (!result.ok) {
+      io.to(socket.id).emit('app_error', { code: result.error, room: raw });
+      return;
+    }
+    const voter = room.players.get(socket.id);
+    const target = room.players.get(playerId);
+    io.to(raw).emit('chat', { system: true, message: `${voter.name} voted to kick ${target.name} (${result.votes}/${result.needed}).` });
+    if (result.passed) await kickPlayer(room, playerId, 'vote');
+  });
+
+  // Host-only: take an ended room back to waiting and seat spectators queued to play
+  socket.on('rematch', async ({ code }) => {
+    const raw = String(code || '').trim().toUpperCase();
+    const room = rooms.get(raw);
+    if (!room) {
+      io.to(socket.id).emit('app_error', { code: 'ROOM_NOT_FOUND', room: raw });
+      return;
+    }
+    if (!isHost(room, socket.id)) {
+      io.to(socket.id).emit('app_error', { code: 'NOT_HOST', room: raw });
+      return;
+    }
+    if (room.phase !== 'ended') {
+      io.to(socket.id).emit('app_error', { code: 'ROOM_NOT_ENDED', room: raw, phase: room.phase });
+      return;
+    }
+    try { clearRoomTimers(room); } catch {}
+    room.phase = 'waiting';
+    room.round = 1;
+    room.drawerIndex = 0;
+    room.playerOrder = null;
+    room.currentWord = null;
+    room.hint = null;
+    room.timer = 0;
+    room.choices = [];
+    room.players.forEach(p => { p.score = 0; p.guessed = false; });
+    resetTeamRotation(room);
+    const freeSeats = Math.max(0, getSettings(room).maxPlayers - room.players.size);
+    for (const s of takeQueuedSpectators(room, freeSeats)) {
+      seatPlayer(room, s);
+      try { await ensureUser(s.tgId || s.id, s.name, s.tgId); } catch {}
+      io.to(raw).emit('chat', { system: true, message: `${s.name} joined the game.` });
+    }
+    try {
+      const roomsCol = getRoomsCol();
+      if (roomsCol) await roomsCol.updateOne({ _id: raw }, { $set: { phase: 'waiting', endedAt: null } });
+    } catch {}
+    io.to(raw).emit('chat', { system: true, message: 'Rematch! Waiting for the host to start.' });
+    broadcastRoomState(io, room);
+  });
+
+  // Host-only: change room settings before the game starts
+  socket.on('update_settings', async ({ code, settings }) => {
+    const raw = String(code || '').trim().toUpperCase();
+    const room = rooms.get(raw);
+    if (!room) {
+      io.to(socket.id).emit('app_error', { code: 'ROOM_NOT_FOUND', room: raw });
+      return;
+    }
+    if (!isHost(room, socket.id)) {
+      io.to(socket.id).emit('app_error', { code: 'NOT_HOST', room: raw });
+      return;
+    }
+    if (room.phase !== 'waiting') {
+      io.to(socket.id).emit('app_error', { code: 'ROOM_NOT_WAITING', room: raw, phase: room.phase });
+      return;
+    }
+    const result = validateSettings(settings, getSettings(room));
+    if (result.ok && result.settings.maxPlayers < room.players.size) {
+      result.ok = false;
+      result.errors = [`maxPlayers cannot be below the current player count (${room.players.size})`];
+    }
+    if (!result.ok) {
+      io.to(socket.id).emit('app_error', { code: 'INVALID_SETTINGS', room: raw, errors: result.errors });
+      return;
+    }
+    room.settings = result.settings;
+    // Turning team mode on, or dropping a team, moves whoever lacks a valid team onto the smallest one
+    if (teamsEnabled(room)) balanceTeams(room);
+    try {
+      const roomsCol = getRoomsCol();
+      if (roomsCol) await roomsCol.updateOne({ _id: raw }, { $set: { settings: room.settings } });
+    } catch {}
+    io.to(raw).emit('chat', { system: true, message: 'Room settings updated.' });
+    broadcastRoomState(io, room);
+  });
+
+  // Host-only: move a player to a team before the game starts
+  socket.on('set_team', ({ code, playerId, team }) => {
+    const raw = String(code || '').trim().toUpperCase();
+    const room = rooms.get(raw);
+    if (!room) {
+      io.to(socket.id).emit('app_error', { code: 'ROOM_NOT_FOUND', room: raw });
+      return;
+    }
+    if (!isHost(room, socket.id)) {
+      io.to(socket.id).emit('app_error', { code: 'NOT_HOST', room: raw });
+      return;
+    }
+    if (room.phase !== 'waiting') {
+      io.to(socket.id).emit('app_error', { code: 'ROOM_NOT_WAITING', room: raw, phase: room.phase });
+      return;
+    }
+    if (!teamsEnabled(room)) {
+      io.to(socket.id).emit('app_error', { code: 'TEAM_MODE_OFF', room: raw });
+      return;
+    }
+    const player = room.players.get(playerId);
+    if (!player) {
+      io.to(socket.id).emit('app_error', { code: 'PLAYER_NOT_FOUND', room: raw });
+      return;
+    }
+    if (!Number.isInteger(team) || team < 0 || team >= teamCountOf(room)) {
+      io.to(socket.id).emit('app_error', { code: 'INVALID_TEAM', room: raw });
+      return;
+    }
+    player.team = team;
+    io.to(raw).emit('chat', { system: true, message: `${player.name} joined Team ${teamName(team)}.` });
+    broadcastRoomState(io, room);
+  });
+
+  // Host-only: deal every player onto a team at random
+  socket.on('balance_teams', ({ code }) => {
+    const raw = String(code || '').trim().toUpperCase();
+    const room = rooms.get(raw);
+    if (!room) {
+      io.to(socket.id).emit('app_error', { code: 'ROOM_NOT_FOUND', room: raw });
+      return;
+    }
+    if (!isHost(room, socket.id)) {
+      io.to(socket.id).emit('app_error', { code: 'NOT_HOST', room: raw });
+      return;
+    }
+    if (room.phase !== 'waiting') {
+      io.to(socket.id).emit('app_error', { code: 'ROOM_NOT_WAITING', room: raw, phase: room.phase });
+      return;
+    }
+    if (!teamsEnabled(room)) {
+      io.to(socket.id).emit('app_error', { code: 'TEAM_MODE_OFF', room: raw });
+      return;
+    }
+    balanceTeams(room, { reset: true });
+    io.to(raw).emit('chat', { system: true, message: 'Teams were shuffled.' });
+    broadcastRoomState(io, room);
+  });
+
+  // Host-only: upload a custom word list (empty list clears it)
+  socket.on('set_custom_words', async ({ code, words }) => {
+    const raw = String(code || '').trim().toUpperCase();
+    const room = rooms.get(raw);
+    if (!room) {
+      io.to(socket.id).emit('app_error', { code: 'ROOM_NOT_FOUND', room: raw });
+      return;
+    }
+    if (!isHost(room, socket.id)) {
+      io.to(socket.id).emit('app_error', { code: 'NOT_HOST', room: raw });
+      return;
+    }
+    if (room.phase !== 'waiting') {
+      io.to(socket.id).emit('app_error', { code: 'ROOM_NOT_WAITING', room: raw, phase: room.phase });
+      return;
+    }
+    const result = validateCustomWords(words);
+    if (!result.ok) {
+      io.to(socket.id).emit('app_error', { code: 'INVALID_CUSTOM_WORDS', room: raw, errors: result.errors });
+      return;
+    }
+    room.customWords = result.words;
+    try {
+      const roomsCol = getRoomsCol();
+      if (roomsCol) await roomsCol.updateOne({ _id: raw }, { $set: { customWords: room.customWords } });
+    } catch {}
+    // Only the count is broadcast; the list itself stays server-side
+    io.to(socket.id).emit('custom_words_saved', { count: result.words.length, duplicates: result.duplicates });
+    io.to(raw).emit('chat', { system: true, message: `Custom word list updated (${result.words.length} words).` });
+    broadcastRoomState(io, room);
+  });
+
   socket.on('start_game', ({ code }) => {
     if (!startGameLimiter.allow()) {
       io.to(socket.id).emit('chat', { system: true, message: 'Slow down: starting games too fast.' });
@@ -516,79 +1349,89 @@ io.on('connection', (socket) => {
     if (!room) return;
     if (room.players.size < 2) return;
     if (room.phase !== 'waiting') return;
+    if (getSettings(room).wordMode === 'custom' && !(room.customWords?.length)) {
+      io.to(socket.id).emit('app_error', { code: 'NO_CUSTOM_WORDS', room: room.code });
+      io.to(socket.id).emit('chat', { system: true, message: 'Add custom words or switch the word mode before starting.' });
+      return;
+    }
+    if (teamsEnabled(room)) {
+      balanceTeams(room);
+      if (nonEmptyTeamCount(room) < 2) {
+        io.to(socket.id).emit('app_error', { code: 'TEAMS_REQUIRED', room: room.code });
+        io.to(socket.id).emit('chat', { system: true, message: 'Team mode needs players on at least two teams.' });
+        return;
+      }
+    }
     room.round = 1;
     room.drawerIndex = 0;
     room.phase = 'choosing';
     room.playerOrder = Array.from(room.players.keys());
+    if (teamsEnabled(room)) {
+      resetTeamRotation(room);
+      room.drawerIndex = getNextDrawerIndex(room);
+      noteTeamDrawer(room, room.playerOrder[room.drawerIndex]);
+    }
     room._turnStartedAt = Date.now();
+    beginGameRecord(room);
     startTurn(io, room);
-    io.to(code).emit('game_started', { ok: true });
+    io.to(code).emit('game_started', { ok: true, gameId: room.gameId });
   });
 
   socket.on('choose_word', ({ code, word }) => {
     const room = rooms.get(code);
     if (!room) return;
-    const drawerId = Array.from(room.players.keys())[room.drawerIndex];
+    const drawerId = currentDrawerId(room);
     if (socket.id !== drawerId) return;
-    if (!room.choices.includes(word)) return;
+    if (!room.choices.some(c => c.word === word)) return;
     room._turnStartedAt = Date.now();
-    beginDrawingPhase(io, room, DEFAULTS, word);
+    beginDrawingPhase(io, room, word);
     io.to(socket.id).emit('word_chosen', { ok: true });
   });
 
-  socket.on('draw', ({ code, stroke }) => {
+  function drawingRoomOf(code) {
     const room = rooms.get(code);
-    if (!room || room.phase !== 'drawing') return;
-    const drawerId = Array.from(room.players.keys())[room.drawerIndex];
-    if (socket.id !== drawerId) return;
-    
-    if (!drawLimiter.allow()) {
-      return;
-    }
-    
-    if (!stroke || typeof stroke !== 'object') return;
-    const type = typeof stroke.type === 'string' ? stroke.type : '';
-    const allowedTypes = new Set(['begin', 'line', 'clear']);
-    if (!allowedTypes.has(type)) return;
-
-    const isNum = (v) => typeof v === 'number' && Number.isFinite(v);
-    const inRange = (v) => isNum(v) && v >= -10000 && v <= 10000; // bound coords
-    const size = Math.max(1, Math.min(16, Number(stroke.size || 4)));
-    const colorRaw = typeof stroke.color === 'string' ? stroke.color.slice(0, 16) : '#111111';
-    const hexColor = /^#?[0-9A-Fa-f]{3,8}$/.test(colorRaw) ? (colorRaw.startsWith('#') ? colorRaw : '#' + colorRaw) : '#111111';
-
-    let valid = false;
-    let payload = { type };
-
-    if (type === 'begin') {
-      if (inRange(stroke.x) && inRange(stroke.y)) {
-        valid = true;
-        payload.x = Number(stroke.x);
-        payload.y = Number(stroke.y);
-      }
-    } else if (type === 'line') {
-      if (inRange(stroke.x1) && inRange(stroke.y1) && inRange(stroke.x2) && inRange(stroke.y2)) {
-        valid = true;
-        payload.x1 = Number(stroke.x1);
-        payload.y1 = Number(stroke.y1);
-        payload.x2 = Number(stroke.x2);
-        payload.y2 = Number(stroke.y2);
+    if (!room || room.phase !== 'drawing') return null;
+    return socket.id === currentDrawerId(room) ? room : null;
+  }
+
+  // Validate, log and relay ops until the drawer's point budget runs out
+  function applyDrawOps(room, strokes) {
+    for (const stroke of strokes) {
+      const payload = normalizeStroke(stroke);
+      if (!payload) continue;
+      if (!drawLimiter.allow(strokeCost(payload))) {
+        if (Date.now() - drawLimitedAt > 3000) {
+          drawLimitedAt = Date.now();
+          io.to(socket.id).emit('app_error', { code: 'DRAW_RATE_LIMITED', room: room.code });
+        }
+        return;
       }
-    } else if (type === 'clear') {
-      valid = true;
+      // Keep the turn's stroke log in sync so snapshots match what everyone sees
+      const relay = applyStroke(room, payload);
+      if (relay) queueDraw(io, room, socket.id, relay);
     }
+  }
+
+  socket.on('draw', ({ code, stroke }) => {
+    const room = drawingRoomOf(code);
+    if (room) applyDrawOps(room, [stroke]);
+  });
 
-    if (!valid) return;
-    payload.size = size;
-    payload.color = hexColor;
-    socket.to(code).emit('draw', payload);
+  // Many ops per event: `strokes` (draw payloads, including `points` runs) and/or binary point runs in `data`
+  socket.on('draw_batch', ({ code, strokes, data } = {}) => {
+    const room = drawingRoomOf(code);
+    if (!room) return;
+    const ops = Array.isArray(strokes) ? strokes.slice(0, MAX_BATCH_OPS) : [];
+    if (data) ops.push(...(decodePointRuns(data, { maxPoints: MAX_BATCH_POINTS }) || []));
+    applyDrawOps(room, ops);
   });
 
   socket.on('chat', async ({ code, message, name }) => {
     const room = rooms.get(code);
     if (!room) return;
     const player = room.players.get(socket.id);
-    if (!player) return;
+    const spectator = player ? null : room.spectators?.get(socket.id);
+    if (!player && !spectator) return;
     
     if (!chatLimiter.allow()) {
       io.to(socket.id).emit('chat', { system: true, message: 'You are sending messages too fast.' });
@@ -598,30 +1441,45 @@ io.on('connection', (socket) => {
     const text = String(message || '').trim().slice(0, 140);
     if (!text) return;
 
+    // Spectators can talk but never guess, and must not blurt out the word
+    if (spectator) {
+      const msg = { name: spectator.name, message: text, tgId: spectator.tgId || null, avatarUrl: spectator.avatarUrl || null, ts: Date.now(), spectator: true };
+      // They don't know the word, so a match is held back silently: a warning would confirm it
+      const holdBack = room.phase === 'drawing' && room.currentWord && containsWord(text, room.currentWord, room.currentAccept);
+      io.to(holdBack ? socket.id : code).emit('chat', msg);
+      return;
+    }
+
+    const drawerId = currentDrawerId(room);
+    // Drawer and players who already guessed know the word
+    const knowsWord = player.guessed || socket.id === drawerId;
+    // Team mode: opponents of the drawer can't score, or steal the turn under the steal rule
+    const role = guessRole(room, player, drawerId);
+
     if (room.phase === 'drawing' && room.currentWord) {
-      if (!player.guessed && text.toLowerCase() === room.currentWord.toLowerCase()) {
+      const correct = !knowsWord && isCorrectGuess(text, room.currentWord, room.currentAccept);
+      if (correct && role !== 'blocked') {
         player.guessed = true;
-        const guessScore = guessScoreForTime(room.timer);
-        player.score += guessScore;
-        const drawerId = Array.from(room.players.keys())[room.drawerIndex];
-        const drawer = room.players.get(drawerId);
-        const bonus = drawerBonus();
-        if (drawer) drawer.score += bonus;
+        const steal = role === 'stealer';
+        // Drawer is paid at turn end, based on how many guessed and how fast
+        const { points: guessScore } = scoreCorrectGuess(room, player, { steal });
 
         try {
-          await incrementScore(player.tgId || player.id, guessScore);
+          await incrementScore(player.tgId || player.id, guessScore, { chat: room.chatInstance });
           await addToTotalScore(player.tgId || player.id, guessScore);
-          if (drawer) {
-            await incrementScore(drawer.tgId || drawer.id, bonus);
-            await addToTotalScore(drawer.tgId || drawer.id, bonus);
-          }
         } catch {}
 
-        io.to(socket.id).emit('chat', { system: true, message: 'You guessed the word!' });
-        io.to(room.code).emit('chat', { system: true, message: `${player.name} guessed the word!` });
+        if (steal) {
+          io.to(socket.id).emit('chat', { system: true, message: `You stole the word! (+${guessScore})` });
+          io.to(room.code).emit('chat', { system: true, message: `${player.name} stole the word for Team ${teamName(player.team)}!` });
+        } else {
+          io.to(socket.id).emit('chat', { system: true, message: `You guessed the word! (+${guessScore})` });
+          io.to(room.code).emit('chat', { system: true, message: `${player.name} guessed the word!` });
+        }
         broadcastRoomState(io, room);
 
-        if (allGuessed(room)) {
+        // A steal ends the turn at once
+        if (steal || allGuessed(room)) {
           const minDrawMs = 4000;
           const elapsed = Date.now() - (room._turnStartedAt || 0);
           if (elapsed >= minDrawMs) {
@@ -636,11 +1494,42 @@ io.on('connection', (socket) => {
           }
         }
         return;
-      } else if (!player.guessed && isCloseGuess(text, room.currentWord)) {
-        io.to(socket.id).emit('chat', { system: true, message: 'Close!' });
+      } else if (!knowsWord && !correct) {
+        const { close, partial } = guessFeedback(text, room.currentWord, room.currentAccept);
+        if (close) {
+          io.to(socket.id).emit('chat', { system: true, message: 'Close!' });
+          return;
+        }
+        if (partial) {
+          // Keep it private: the matching word would give the phrase away
+          io.to(socket.id).emit('chat', { system: true, message: 'You have one of the words right!' });
+          return;
+        }
+      }
+      // A blocked opponent's right answer ends up here too, handled like any message with the word in it
+      if (correct || containsWord(text, room.currentWord, room.currentAccept)) {
+        if (knowsWord) {
+          io.to(socket.id).emit('chat', { system: true, message: 'Your message contained the word and was not sent.' });
+        } else {
+          // Only the sender sees it, as if it were sent: a warning would tell a guesser the word is in there
+          io.to(socket.id).emit('chat', { name: player.name, message: text, tgId: player.tgId || null, avatarUrl: player.avatarUrl || null, ts: Date.now() });
+        }
+        return;
+      }
+      if (knowsWord) {
+        // Private channel: only the drawer and players who already guessed see it
+        const recipients = Array.from(room.players.values())
+          .filter(p => p.id === drawerId || p.guessed)
+          .map(p => p.id);
+        io.to(recipients).emit('chat', { name: player.name, message: text, tgId: player.tgId || null, avatarUrl: player.avatarUrl || null, ts: Date.now(), channel: 'guessed' });
         return;
       }
     }
+    // While choosing, the drawer must not reveal any of the offered words
+    if (room.phase === 'choosing' && socket.id === drawerId && (room.choices || []).some(c => containsWord(text, c.word, c.accept))) {
+      io.to(socket.id).emit('chat', { system: true, message: 'Your message contained a word choice and was not sent.' });
+      return;
+    }
     // Prevent name spoofing: always use server-side player.name
     io.to(code).emit('chat', { name: player.name, message: text, tgId: player.tgId || null, avatarUrl: player.avatarUrl || null, ts: Date.now() });
   });
@@ -649,28 +1538,144 @@ io.on('connection', (socket) => {
     for (const code of socket.rooms) {
       if (rooms.has(code)) {
         const room = rooms.get(code);
-        const wasDrawerId = Array.from(room.players.keys())[room.drawerIndex];
-        room.players.delete(socket.id);
-        removeFromPlayerOrder(room, socket.id);
-        io.to(code).emit('chat', { system: true, message: 'A player disconnected.' });
-        broadcastRoomState(io, room);
-        if (socket.id === wasDrawerId && (room.phase === 'drawing' || room.phase === 'choosing')) {
-          try { endTurn(io, room); } catch {}
+        if (removeSpectator(room, socket.id)) {
+          broadcastRoomState(io, room);
+          continue;
         }
-        // Cleanup: delete room if empty
-        if (room.players.size === 0) {
-          try { clearRoomTimers(room); } catch {}
-          try {
-            const roomsCol = getRoomsCol();
-            if (roomsCol) await roomsCol.updateOne({ _id: code }, { $set: { phase: 'ended', endedAt: new Date() } });
-          } catch {}
-          rooms.delete(code);
+        const player = room.players.get(socket.id);
+        // Seat may already have been rebound to a newer socket
+        if (!player) continue;
+        if (RECONNECT_GRACE_MS > 0 && room.phase !== 'ended') {
+          // Hold the seat, score and turn; the drawer's timer keeps running meanwhile
+          holdSeat(room, socket.id);
+          io.to(code).emit('chat', { system: true, message: `${player.name} disconnected. Waiting for them to reconnect...` });
+          broadcastRoomState(io, room);
+          continue;
         }
+        await dropPlayer(room, socket.id);
       }
     }
   });
+}
+
+// Clients that understand draw_batch say so at handshake; the rest keep getting one `draw` per op
+io.on('connection', (socket) => {
+  socket.join(socket.handshake.auth?.drawBatch === true ? DRAW_BATCH_ROOM : DRAW_LEGACY_ROOM);
+});
+io.on('connection', createSocketRouter({ io, store: roomStore, attach: attachGameHandlers }));
+
+// Crash-safe copy of a room in Mongo, without socket ids; rooms still waiting for their players keep the last one
+const SNAPSHOT_INTERVAL_MS = Number(process.env.SNAPSHOT_INTERVAL_MS || 15000);
+async function snapshotRoom(room) {
+  if (!getRoomsCol() || room.phase === RESUMING_PHASE || room.phase === 'ended' || room.players.size === 0) return;
+  room._snapshotPhase = room.phase;
+  try { await saveRoomSnapshot(room.code, serializeDetachedRoom(room)); } catch {}
+}
+setInterval(() => {
+  for (const room of rooms.values()) snapshotRoom(room);
+}, SNAPSHOT_INTERVAL_MS);
+
+// Snapshot to Mongo on every phase change, and for failover at most twice a second
+onRoomState((room) => {
+  if (room._snapshotPhase !== room.phase) snapshotRoom(room);
+  if (!roomStore.persistent || room._saveHandle) return;
+  room._saveHandle = setTimeout(() => {
+    room._saveHandle = null;
+    if (rooms.get(room.code) === room) roomStore.save(room).catch(() => {});
+  }, 500);
 });
 
+// A room taken over from a dead node: players whose sockets are gone get the usual grace window
+async function adoptRoom(room) {
+  const live = new Set((await io.in(room.code).fetchSockets()).map(s => s.id));
+  for (const [sid, player] of room.players.entries()) {
+    if (live.has(sid)) player.connected = true;
+    else if (RECONNECT_GRACE_MS > 0) holdSeat(room, sid);
+    else player.connected = false;
+  }
+  if (room.spectators) {
+    for (const sid of Array.from(room.spectators.keys())) if (!live.has(sid)) room.spectators.delete(sid);
+  }
+  rooms.set(room.code, room);
+  console.log(`Adopted room ${room.code} (${room.phase})`);
+  resumeRoomTimers(io, room);
+  broadcastRoomState(io, room);
+}
+
+// Rooms interrupted by a restart come back in the resuming phase; players reclaim their seats by tgId or session
+const RESUME_WAIT_MS = Number(process.env.RESUME_WAIT_MS ?? 60000);
+async function restoreRooms() {
+  const restored = [];
+  for (const doc of await loadRoomSnapshots()) {
+    const room = restoreRoom(doc.snapshot);
+    if (!room || room.code !== doc._id || room.players.size === 0 || rooms.has(room.code)) continue;
+    delete room.savedAt;
+    enterResuming(room, { waitMs: RESUME_WAIT_MS });
+    rooms.set(room.code, room);
+    room._resumeHandle = setTimeout(() => finishResuming(room), RESUME_WAIT_MS);
+    restored.push(room.code);
+  }
+  return restored;
+}
+
+// Pick the game up where it stopped; players still missing get the usual reconnect grace
+function finishResuming(room) {
+  if (room._resumeHandle) { clearTimeout(room._resumeHandle); room._resumeHandle = null; }
+  if (room.phase !== RESUMING_PHASE || rooms.get(room.code) !== room) return;
+  const back = Array.from(room.players.values()).filter(p => p.connected !== false);
+  if (back.length === 0) {
+    // Nobody came back: let the room go and reopen it as a fresh lobby
+    if (room.resumePhase !== 'waiting') finishGameRecord(room, 'aborted');
+    forgetRoom(room.code);
+    (async () => {
+      try {
+        await clearRoomSnapshot(room.code);
+        const roomsCol = getRoomsCol();
+        if (roomsCol) await roomsCol.updateOne({ _id: room.code }, { $set: { phase: 'waiting' } });
+      } catch {}
+    })();
+    return;
+  }
+  const phase = leaveResuming(room);
+  io.to(room.code).emit('chat', { system: true, message: 'Game resumed.' });
+  resumeRoomTimers(io, room);
+  const drawerId = currentDrawerId(room);
+  if (room.phase === 'drawing' && phase === 'drawing' && room.players.get(drawerId)?.connected !== false) {
+    io.to(drawerId).emit('word_chosen', { ok: true, word: room.currentWord });
+  }
+  broadcastRoomState(io, room);
+  for (const [sid, player] of Array.from(room.players.entries())) {
+    if (player.connected !== false) continue;
+    if (RECONNECT_GRACE_MS > 0) holdSeat(room, sid);
+    else dropPlayer(room, sid).catch(() => {});
+  }
+}
+
+// Deploys send SIGTERM: freeze every room, save it, tell its players, then exit
+let shuttingDown = false;
+async function shutdown(signal) {
+  if (shuttingDown) return;
+  shuttingDown = true;
+  console.log(`${signal} received; saving ${rooms.size} room(s)`);
+  setTimeout(() => process.exit(1), 10000).unref();
+  const pending = [];
+  for (const room of rooms.values()) {
+    try { clearRoomTimers(room); } catch {}
+    io.to(room.code).emit('server_restarting', { code: room.code });
+    io.to(room.code).emit('chat', { system: true, message: 'Server is restarting. Your game will continue in a moment.' });
+    pending.push(snapshotRoom(room));
+    // In a cluster the lease is left to expire so another node adopts the saved room
+    if (roomStore.persistent) pending.push(roomStore.save(room).catch(() => {}));
+  }
+  await Promise.allSettled(pending);
+  try { await roomStore.close(); } catch {}
+  try { await closeDb(); } catch {}
+  io.close();
+  process.exit(0);
+}
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
+
 const port = process.env.PORT || 3000;
 (async () => {
   try {
@@ -678,17 +1683,44 @@ const port = process.env.PORT || 3000;
   } catch (e) {
     console.warn('MongoDB init failed:', e?.message || e);
   }
-  // Reconcile room states in Mongo to avoid stale non-waiting phases after crashes
+  // Shared room store and Socket.IO adapter; a misconfigured cluster should not start half-working
+  try {
+    await roomStore.connect();
+    if (roomStore.adapter) io.adapter(roomStore.adapter());
+  } catch (e) {
+    console.error('Room store init failed:', e?.message || e);
+    process.exit(1);
+  }
+  startOwnership({
+    store: roomStore,
+    onLost: (code) => {
+      const room = rooms.get(code);
+      if (room) { try { clearRoomTimers(room); } catch {} }
+      rooms.delete(code);
+      console.warn(`Lost ownership of room ${code}`);
+    },
+    onAdopt: adoptRoom,
+  });
+  // Restore snapshotted rooms, then reconcile the rest to avoid stale non-waiting phases after crashes
+  // (single instance only: in a cluster other nodes may be running those rooms, and adopt them from the room store)
   try {
     const roomsCol = getRoomsCol();
-    if (roomsCol) {
-      // Any room not ended should be set to waiting on startup
-      await roomsCol.updateMany({ phase: { $nin: ['waiting', 'ended'] } }, { $set: { phase: 'waiting' } });
+    if (roomsCol && !roomStore.persistent) {
+      const restored = await restoreRooms();
+      if (restored.length) console.log(`Restored ${restored.length} room(s): ${restored.join(', ')}`);
+      // Any other room not ended should be set to waiting on startup, and its snapshot dropped
+      await roomsCol.updateMany({ _id: { $nin: restored }, phase: { $nin: ['waiting', 'ended'] } }, { $set: { phase: 'waiting' } });
+      await roomsCol.updateMany({ _id: { $nin: restored }, snapshot: { $exists: true } }, { $unset: { snapshot: '', snapshotAt: '' } });
       // Optionally end very old rooms with endedAt far in the past is handled by TTL index in db setup
     }
   } catch (e) {
     console.warn('Room reconciliation failed:', e?.message || e);
   }
+  // Register the webhook when a public URL is configured
+  if (botApi && botWebhookSecret && process.env.TELEGRAM_WEBHOOK_URL) {
+    botApi.setWebhook(process.env.TELEGRAM_WEBHOOK_URL, botWebhookSecret)
+      .catch(e => console.warn('Bot webhook registration failed:', e?.message || e));
+  }
   server.listen(port, () => {
     console.log(`Server listening on :${port}`);
   });
@@ -0,0 +1,22 @@
+// Minimal Telegram Bot API client; baseUrl and fetch are injectable so tests can point it at a fake server
+export function createBotApi({ token, baseUrl = 'https://api.telegram.org', fetchImpl = globalThis.fetch } = {}) {
+  if (!token) throw new Error('Bot token required')
+  const root = `${String(baseUrl).replace(/\/$/, '')}/bot${token}`
+
+  async function call(method, params = {}) {
+    const res = await fetchImpl(`${root}/${method}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(params),
+    })
+    const body = await res.json().catch(() => null)
+    if (!body?.ok) throw new Error(`Bot API ${method} failed: ${body?.description || res.status}`)
+    return body.result
+  }
+
+  return {
+    call,
+    sendMessage: (chatId, text, extra = {}) => call('sendMessage', { chat_id: chatId, text, ...extra }),
+    setWebhook: (url, secretToken) => call('setWebhook', { url, secret_token: secretToken, allowed_updates: ['message'] }),
+  }
+}
@@ -0,0 +1,100 @@
+import { summarizeStats } from '../domain/stats.js'
+import { parsePeriod } from '../domain/periods.js'
+
+// Bot command handling, kept apart from Express so it can run against a fake Bot API
+
+export function escapeHtml(text) {
+  return String(text ?? '').replace(/[&<>"]/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[ch]))
+}
+
+const MEDALS = ['🥇', '🥈', '🥉']
+const rankLabel = i => MEDALS[i] || `${i + 1}.`
+
+// "/play@MyBot week" -> { command: 'play', args: ['week'] }; null for plain messages
+export function parseCommand(text, botUsername) {
+  const m = /^\/([a-z_]+)(?:@(\w+))?(?:\s+(.*))?$/is.exec(String(text || '').trim())
+  if (!m) return null
+  if (m[2] && botUsername && m[2].toLowerCase() !== String(botUsername).toLowerCase()) return null
+  return { command: m[1].toLowerCase(), args: (m[3] || '').split(/\s+/).filter(Boolean) }
+}
+
+export function formatLeaderboard(users, { period = 'all', group = false } = {}) {
+  const title = `🏆 ${group ? 'Group' : 'Global'} leaderboard${period === 'all' ? '' : ` (${period})`}`
+  if (!users.length) return `${title}\n\nNo scores yet. Start a game with /play!`
+  const lines = users.map((u, i) => `${rankLabel(i)} ${escapeHtml(u.name || 'Player')} — ${u.score || 0}`)
+  return `<b>${escapeHtml(title)}</b>\n\n${lines.join('\n')}`
+}
+
+export function formatStats(user) {
+  if (!user) return 'No games played yet. Start one with /play!'
+  const s = summarizeStats(user.stats)
+  const lines = [
+    `<b>📊 ${escapeHtml(user.name || 'Player')}</b>`,
+    `Score: ${user.score || 0}`,
+    `Games: ${s.gamesPlayed} · Wins: ${s.wins} · Podiums: ${s.podiums}`,
+    `Win streak: ${s.currentWinStreak} (best ${s.longestWinStreak})`,
+    `Words guessed: ${s.wordsGuessed}${s.avgGuessTime !== null ? ` · avg ${s.avgGuessTime}s, best ${s.bestGuessTime}s` : ''}`,
+    `Drawings guessed: ${s.drawingsGuessed}`,
+  ]
+  if (s.favoriteWords.length) lines.push(`Favorite words: ${s.favoriteWords.map(w => escapeHtml(w.word)).join(', ')}`)
+  return lines.join('\n')
+}
+
+export function formatGameResults({ code, standings, status }) {
+  const head = status === 'aborted' ? `🏁 Game in room ${code} ended early` : `🏁 Game over in room ${code}`
+  const lines = standings.slice(0, 10).map(s => `${rankLabel(s.rank - 1)} ${escapeHtml(s.name || 'Player')} — ${s.score}`)
+  return `<b>${escapeHtml(head)}</b>\n\n${lines.join('\n') || 'No players left.'}\n\nPlay again with /play`
+}
+
+// Groups only allow URL buttons; private chats can open the Mini App directly unless the link is a t.me deep link
+export function playButton(link, chatType) {
+  const direct = chatType === 'private' && !/^https:\/\/t\.me\//.test(link)
+  const button = direct ? { text: '🎨 Play', web_app: { url: link } } : { text: '🎨 Play', url: link }
+  return { inline_keyboard: [[button]] }
+}
+
+/**
+ * Handles one webhook update.
+ * deps: api (Bot API client), createRoom({ chatId, chatType, from }) -> { code, link } or { retryAfter } (seconds),
+ * getLeaderboard({ period, chatId }) -> { users, group }, getUser(tgId), botUsername
+ */
+export function createBotHandler({ api, createRoom, getLeaderboard, getUser, botUsername } = {}) {
+  const reply = (chatId, text, extra = {}) => api.sendMessage(chatId, text, { parse_mode: 'HTML', disable_web_page_preview: true, ...extra })
+
+  return async function handleUpdate(update) {
+    const message = update?.message
+    const cmd = parseCommand(message?.text, botUsername)
+    if (!cmd || !message.chat) return false
+    const chatId = message.chat.id
+    switch (cmd.command) {
+      case 'start':
+      case 'play': {
+        const room = await createRoom({ chatId, chatType: message.chat.type, from: message.from })
+        if (room?.retryAfter) {
+          await reply(chatId, `A room was just opened here. Try /play again in ${room.retryAfter}s.`)
+          return true
+        }
+        if (!room?.link) {
+          await reply(chatId, room?.code ? `Room <b>${room.code}</b> is ready. Open the app and join with this code.` : 'Could not create a room right now, try again.')
+          return true
+        }
+        await reply(chatId, `🎨 Room <b>${room.code}</b> is ready! Tap to join.`, { reply_markup: playButton(room.link, message.chat.type) })
+        return true
+      }
+      case 'leaderboard':
+      case 'top': {
+        const period = parsePeriod(cmd.args[0]) || 'all'
+        const { users, group } = await getLeaderboard({ period, chatId })
+        await reply(chatId, formatLeaderboard(users, { period, group }))
+        return true
+      }
+      case 'stats': {
+        const user = message.from?.id ? await getUser(String(message.from.id)) : null
+        await reply(chatId, formatStats(user))
+        return true
+      }
+      default:
+        return false
+    }
+  }
+}
@@ -0,0 +1,33 @@
+// Lease upkeep for a persistent room store: renew our rooms, snapshot them, and adopt rooms
+// whose owner stopped renewing (crashed or was killed)
+export function startOwnership({ store, onLost, onAdopt }) {
+  if (!store.persistent) return () => {}
+  const every = Math.max(1000, Math.floor(store.leaseMs / 3))
+  let busy = false
+  const handle = setInterval(async () => {
+    if (busy) return
+    busy = true
+    try {
+      const owned = Array.from(store.rooms.keys())
+      const kept = new Set(await store.renew(owned))
+      for (const code of owned) {
+        // An expired lease nobody else took can simply be claimed again
+        if (!kept.has(code) && !(await store.claim(code))) onLost(code)
+      }
+      for (const room of store.rooms.values()) {
+        if (room.phase !== 'waiting') await store.save(room)
+      }
+      for (const code of await store.orphans()) {
+        if (store.rooms.has(code) || !(await store.claim(code))) continue
+        const room = await store.load(code)
+        if (room) await onAdopt(room)
+        else await store.release(code)
+      }
+    } catch (e) {
+      console.warn('Room ownership check failed:', e?.message || e)
+    } finally {
+      busy = false
+    }
+  }, every)
+  return () => clearInterval(handle)
+}
@@ -0,0 +1,122 @@
+import { startParamTarget } from '../security/telegramAuth.js'
+
+// Room events run on the node that owns the room. Sockets connected elsewhere have their events
+// forwarded there (serverSideEmit), where the same handlers run against a proxy socket.
+const FORWARD_EVENT = 'room:forward'
+const OWNER_CACHE_MS = 2000
+
+// Room an event is about: payload.code, or for joins the invite / startapp link that carries it
+export function roomCodeOf(event, payload, auth) {
+  const code = payload && typeof payload === 'object' ? payload.code : null
+  if (code) return String(code).trim().toUpperCase()
+  if (event !== 'join_room') return null
+  if (payload?.invite) return String(payload.invite).split('-')[0].toUpperCase()
+  const target = startParamTarget(auth?.startParam)
+  if (target.code) return target.code.toUpperCase()
+  if (target.invite) return target.invite.split('-')[0].toUpperCase()
+  return null
+}
+
+function handlerTable() {
+  const handlers = new Map()
+  return {
+    on: (event, fn) => { handlers.set(event, fn) },
+    dispatch: (event, payload) => handlers.get(event)?.(payload),
+  }
+}
+
+// Handlers see a socket-like object: id, data, rooms, on, join, leave, to
+function localContext(socket) {
+  const table = handlerTable()
+  return {
+    id: socket.id,
+    data: socket.data,
+    get rooms() { return socket.rooms },
+    on: table.on,
+    dispatch: table.dispatch,
+    join: room => socket.join(room),
+    leave: room => socket.leave(room),
+    to: room => socket.to(room),
+  }
+}
+
+// Proxy for a socket on another node; room membership changes go through the adapter
+function remoteContext(io, socketId) {
+  const table = handlerTable()
+  return {
+    id: socketId,
+    data: {},
+    rooms: new Set([socketId]),
+    on: table.on,
+    dispatch: table.dispatch,
+    join(room) { this.rooms.add(room); io.in(socketId).socketsJoin(room) },
+    leave(room) { this.rooms.delete(room); io.in(socketId).socketsLeave(room) },
+    to: room => io.to(room).except(socketId),
+  }
+}
+
+/**
+ * attach(socketLike) registers the game handlers (what io.on('connection') used to do).
+ * Returns the connection listener to give io.on('connection').
+ */
+export function createSocketRouter({ io, store, attach }) {
+  const remote = new Map()
+  const ownerCache = new Map()
+
+  async function ownerOf(code) {
+    const hit = ownerCache.get(code)
+    if (hit && Date.now() - hit.at < OWNER_CACHE_MS) return hit.owner
+    const owner = await store.ownerOf(code)
+    ownerCache.set(code, { owner, at: Date.now() })
+    return owner
+  }
+
+  function forward(owner, message) {
+    io.serverSideEmit(FORWARD_EVENT, { to: owner, ...message })
+  }
+
+  io.on(FORWARD_EVENT, (message) => {
+    if (!message || message.to !== store.nodeId) return
+    let ctx = remote.get(message.socketId)
+    if (!ctx) {
+      ctx = remoteContext(io, message.socketId)
+      attach(ctx)
+      remote.set(message.socketId, ctx)
+    }
+    ctx.data.auth = message.auth
+    if (message.event === 'disconnecting') {
+      ctx.rooms = new Set(message.rooms || [])
+      remote.delete(message.socketId)
+    }
+    try { ctx.dispatch(message.event, message.payload) } catch {}
+  })
+
+  return function onConnection(socket) {
+    const ctx = localContext(socket)
+    attach(ctx)
+    // Route one event at a time so a socket's events reach the owner in order
+    let queue = Promise.resolve()
+    socket.onAny((event, payload) => {
+      queue = queue.then(async () => {
+        const code = roomCodeOf(event, payload, socket.data.auth)
+        const owner = code && !store.rooms.has(code) ? await ownerOf(code) : null
+        if (!owner || owner === store.nodeId) {
+          ctx.dispatch(event, payload)
+          return
+        }
+        forward(owner, { event, socketId: socket.id, auth: socket.data.auth, payload })
+      }).catch(() => {})
+    })
+    socket.on('disconnecting', () => {
+      const joined = Array.from(socket.rooms)
+      ctx.dispatch('disconnecting')
+      // Owners of rooms held elsewhere need to hear about it too
+      for (const code of joined) {
+        if (code === socket.id || store.rooms.has(code)) continue
+        ownerOf(code).then(owner => {
+          if (owner && owner !== store.nodeId) forward(owner, { event: 'disconnecting', socketId: socket.id, auth: socket.data.auth, rooms: joined })
+        }).catch(() => {})
+      }
+    })
+  }
+}
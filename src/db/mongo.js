@@ -1,8 +1,17 @@
 import { MongoClient } from 'mongodb'
+import { CALENDAR_PERIODS, periodBucket, bucketExpiry, scoreDocId } from '../domain/periods.js'
 
 let client = null
 let usersCol = null
 let roomsCol = null
+let gamesCol = null
+let scoresCol = null
+let seasonsCol = null
+let chatsCol = null
+let drawingsCol = null
+let currentSeason = null
+let currentSeasonAt = 0
+const SEASON_CACHE_MS = 60000
 
 export async function initDb(uri, dbName = 'scribbly') {
   if (!uri) {
@@ -23,12 +32,34 @@ export async function initDb(uri, dbName = 'scribbly') {
       { expireAfterSeconds: 86400, partialFilterExpression: { endedAt: { $type: 'date' } } }
     )
   } catch {}
+  gamesCol = db.collection('games')
+  await gamesCol.createIndex({ participantKeys: 1, startedAt: -1 })
+  // Period-scoped scores: one document per (chat, period, bucket, user); chat is null for global boards
+  scoresCol = db.collection('scores')
+  await scoresCol.createIndex({ chat: 1, period: 1, bucket: 1, score: -1 })
+  try {
+    await scoresCol.createIndex(
+      { expiresAt: 1 },
+      { expireAfterSeconds: 0, partialFilterExpression: { expiresAt: { $type: 'date' } } }
+    )
+  } catch {}
+  seasonsCol = db.collection('seasons')
+  // Bot chat id -> Mini App chat_instance, so /leaderboard in a group can find the group board
+  chatsCol = db.collection('chats')
+  // Rendered turn drawings (PNG + SVG), one document per turn, linked from the game's turns
+  drawingsCol = db.collection('drawings')
+  await drawingsCol.createIndex({ gameId: 1, turnIndex: 1 })
+  await getCurrentSeason()
   console.log('Connected to MongoDB')
   return { ok: true }
 }
 
 export function getUsersCol() { return usersCol }
 export function getRoomsCol() { return roomsCol }
+export function getGamesCol() { return gamesCol }
+export function getScoresCol() { return scoresCol }
+export function getSeasonsCol() { return seasonsCol }
+export function getDrawingsCol() { return drawingsCol }
 
 export async function ensureUser(userId, name, tgId) {
   if (!usersCol || !userId) return
@@ -39,29 +70,168 @@ export async function ensureUser(userId, name, tgId) {
   )
 }
 
-export async function incrementScore(userId, delta) {
+// chat: Telegram chat_instance the room belongs to, if any; its group board gets the points too
+export async function incrementScore(userId, delta, { chat = null } = {}) {
   if (!usersCol || !userId || !delta) return
   await usersCol.updateOne(
     { _id: String(userId) },
     { $inc: { score: delta } },
     { upsert: true }
   )
+  await incrementPeriodScores(String(userId), delta, chat)
+}
+
+// Same delta into today's, this week's, this month's and this season's bucket
+// (group boards also keep an all-time bucket; the global one is users.score)
+async function incrementPeriodScores(userId, delta, chat) {
+  if (!scoresCol) return
+  const now = new Date()
+  const buckets = CALENDAR_PERIODS.map(period => ({ period, bucket: periodBucket(period, now), expiresAt: bucketExpiry(period, now) }))
+  const season = await getCurrentSeason()
+  if (season) buckets.push({ period: 'season', bucket: season._id, expiresAt: null })
+  const scopes = [null]
+  if (chat) scopes.push(String(chat))
+  const ops = []
+  for (const scope of scopes) {
+    const rows = scope ? [...buckets, { period: 'all', bucket: 'all', expiresAt: null }] : buckets
+    for (const { period, bucket, expiresAt } of rows) {
+      ops.push({
+        updateOne: {
+          filter: { _id: scoreDocId(period, bucket, userId, scope) },
+          update: { $inc: { score: delta }, $setOnInsert: { chat: scope, period, bucket, userId, expiresAt } },
+          upsert: true,
+        },
+      })
+    }
+  }
+  await scoresCol.bulkWrite(ops, { ordered: false })
 }
 
-export async function incrementGamesPlayed(userId, delta = 1) {
+// Open season (endedAt null), created on first use; cached briefly since other instances may reset it
+export async function getCurrentSeason() {
+  if (!seasonsCol) return null
+  if (currentSeason && Date.now() - currentSeasonAt < SEASON_CACHE_MS) return currentSeason
+  let season = await seasonsCol.findOne({ endedAt: null }, { sort: { number: -1 } })
+  if (!season) {
+    const last = await seasonsCol.findOne({}, { sort: { number: -1 } })
+    const number = (last?.number || 0) + 1
+    season = { _id: `S${number}`, number, startedAt: new Date(), endedAt: null, champions: [] }
+    try { await seasonsCol.insertOne(season) } catch { season = await seasonsCol.findOne({ _id: season._id }) }
+  }
+  currentSeason = season
+  currentSeasonAt = Date.now()
+  return season
+}
+
+// Close the open season, keeping its top players, and open the next one
+export async function resetSeason({ keep = 10 } = {}) {
+  if (!seasonsCol || !scoresCol) return null
+  currentSeason = null
+  const season = await getCurrentSeason()
+  const top = await scoresCol.find({ chat: null, period: 'season', bucket: season._id })
+    .sort({ score: -1 })
+    .limit(keep)
+    .toArray()
+  const names = usersCol
+    ? await usersCol.find({ _id: { $in: top.map(t => t.userId) } }, { projection: { name: 1, avatarUrl: 1 } }).toArray()
+    : []
+  const byId = new Map(names.map(u => [u._id, u]))
+  const champions = top.map((t, i) => ({ rank: i + 1, userId: t.userId, name: byId.get(t.userId)?.name || 'Player', score: t.score }))
+  const closed = await seasonsCol.findOneAndUpdate(
+    { _id: season._id, endedAt: null },
+    { $set: { endedAt: new Date(), champions } },
+    { returnDocument: 'after' }
+  )
+  currentSeason = null
+  const next = await getCurrentSeason()
+  return { archived: closed, current: next }
+}
+
+export async function addToTotalScore(userId, delta) {
   if (!usersCol || !userId || !delta) return
   await usersCol.updateOne(
     { _id: String(userId) },
-    { $inc: { 'stats.gamesPlayed': delta } },
+    { $inc: { 'stats.totalScore': delta } },
     { upsert: true }
   )
 }
 
-export async function addToTotalScore(userId, delta) {
-  if (!usersCol || !userId || !delta) return
+// Per-guess stats; words are tallied for "favorite words" (key from wordStatKey)
+export async function recordGuessStats(userId, { guessTime, wordKey }) {
+  if (!usersCol || !userId) return
+  const $inc = { 'stats.wordsGuessed': 1, 'stats.guessTimeTotal': guessTime }
+  if (wordKey) $inc[`stats.wordCounts.${wordKey}`] = 1
   await usersCol.updateOne(
     { _id: String(userId) },
-    { $inc: { 'stats.totalScore': delta } },
+    { $inc, $min: { 'stats.bestGuessTime': guessTime } },
+    { upsert: true }
+  )
+}
+
+export async function recordDrawerStats(userId, { guessedBy, wordKey }) {
+  if (!usersCol || !userId) return
+  const $inc = { 'stats.turnsDrawn': 1, 'stats.drawingsGuessed': guessedBy }
+  if (wordKey) $inc[`stats.wordCounts.${wordKey}`] = 1
+  await usersCol.updateOne({ _id: String(userId) }, { $inc }, { upsert: true })
+}
+
+// One atomic update per player at game_over: games, wins, podiums and win streaks
+export async function recordGameResult(userId, { won, podium }) {
+  if (!usersCol || !userId) return
+  const n = (field) => ({ $ifNull: [`$stats.${field}`, 0] })
+  const streak = won ? { $add: [n('currentWinStreak'), 1] } : 0
+  await usersCol.updateOne(
+    { _id: String(userId) },
+    [
+      {
+        $set: {
+          'stats.gamesPlayed': { $add: [n('gamesPlayed'), 1] },
+          'stats.wins': { $add: [n('wins'), won ? 1 : 0] },
+          'stats.podiums': { $add: [n('podiums'), podium ? 1 : 0] },
+          'stats.currentWinStreak': streak,
+        },
+      },
+      { $set: { 'stats.longestWinStreak': { $max: [n('longestWinStreak'), '$stats.currentWinStreak'] } } },
+    ],
+    { upsert: true }
+  )
+}
+
+export async function linkChatInstance(chatId, chatInstance) {
+  if (!chatsCol || !chatId || !chatInstance) return
+  await chatsCol.updateOne(
+    { _id: String(chatId) },
+    { $set: { chatInstance: String(chatInstance), updatedAt: new Date() } },
     { upsert: true }
   )
 }
+
+export async function getChatInstance(chatId) {
+  if (!chatsCol || !chatId) return null
+  const doc = await chatsCol.findOne({ _id: String(chatId) })
+  return doc?.chatInstance || null
+}
+
+// Serialized room state (see domain/snapshot.js) so a restart can pick a game back up
+export async function saveRoomSnapshot(code, snapshot) {
+  if (!roomsCol) return
+  await roomsCol.updateOne({ _id: code }, { $set: { snapshot, snapshotAt: new Date() } })
+}
+
+export async function loadRoomSnapshots() {
+  if (!roomsCol) return []
+  return roomsCol.find(
+    // A snapshot older than the room doc belongs to an earlier game under the same code
+    { phase: { $ne: 'ended' }, snapshot: { $type: 'string' }, $expr: { $gte: ['$snapshotAt', '$createdAt'] } },
+    { projection: { snapshot: 1 } }
+  ).toArray()
+}
+
+export async function clearRoomSnapshot(code) {
+  if (!roomsCol) return
+  await roomsCol.updateOne({ _id: code }, { $unset: { snapshot: '', snapshotAt: '' } })
+}
+
+export async function closeDb() {
+  if (client) await client.close()
+}
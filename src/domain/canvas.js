@@ -0,0 +1,344 @@
+import { createRenderer } from '../render/drawing.js'
+
+// Per-turn stroke log so late joiners and reconnecting players can redraw the canvas
+const MAX_STROKES = Number(process.env.MAX_STROKE_HISTORY || 5000)
+
+// Wire format for `draw`: begin/line/clear as before, plus fill, shape, undo and redo, and
+// `points` runs (many points per op) for `draw_batch`.
+// Strokes carry an id grouping a begin with its lines; old clients can ignore the extra fields
+export const STROKE_TYPES = ['begin', 'line', 'clear', 'fill', 'shape', 'undo', 'redo', 'points']
+export const SHAPES = ['line', 'rect', 'ellipse']
+export const MAX_BRUSH_SIZE = 16
+export const MAX_ERASER_SIZE = 64
+export const MIN_OPACITY = 0.05
+export const MAX_BATCH_POINTS = 512
+export const MAX_BATCH_OPS = 64
+const ERASER_COLOR = '#FFFFFF' // what clients without eraser support paint instead
+const STROKE_ID_RE = /^[A-Za-z0-9_-]{1,24}$/
+
+const isNum = (v) => typeof v === 'number' && Number.isFinite(v)
+const inRange = (v) => isNum(v) && v >= -10000 && v <= 10000 // bound coords
+
+function colorOf(raw) {
+  const color = typeof raw === 'string' ? raw.slice(0, 16) : '#111111'
+  if (!/^#?[0-9A-Fa-f]{3,8}$/.test(color)) return '#111111'
+  return color.startsWith('#') ? color : '#' + color
+}
+
+function opacityOf(raw) {
+  if (raw === undefined || raw === null) return 1
+  const n = Number(raw)
+  return Number.isFinite(n) ? Math.max(MIN_OPACITY, Math.min(1, n)) : 1
+}
+
+// Validated copy of a client stroke, or null; fields a stroke doesn't use are dropped
+export function normalizeStroke(stroke) {
+  if (!stroke || typeof stroke !== 'object') return null
+  const type = typeof stroke.type === 'string' ? stroke.type : ''
+  if (!STROKE_TYPES.includes(type)) return null
+  const payload = { type }
+  if (typeof stroke.id === 'string' && STROKE_ID_RE.test(stroke.id)) payload.id = stroke.id
+  if (type === 'undo' || type === 'redo') return payload
+
+  const eraser = stroke.tool === 'eraser' && (type === 'begin' || type === 'line' || type === 'points')
+  const maxSize = eraser ? MAX_ERASER_SIZE : MAX_BRUSH_SIZE
+  const size = Math.max(1, Math.min(maxSize, Number(stroke.size || 4) || 4))
+
+  if (type === 'begin' || type === 'fill') {
+    if (!inRange(stroke.x) || !inRange(stroke.y)) return null
+    payload.x = stroke.x
+    payload.y = stroke.y
+  } else if (type === 'line' || type === 'shape') {
+    if (![stroke.x1, stroke.y1, stroke.x2, stroke.y2].every(inRange)) return null
+    if (type === 'shape') {
+      if (!SHAPES.includes(stroke.shape)) return null
+      payload.shape = stroke.shape
+      if (stroke.filled === true && stroke.shape !== 'line') payload.filled = true
+    }
+    payload.x1 = stroke.x1
+    payload.y1 = stroke.y1
+    payload.x2 = stroke.x2
+    payload.y2 = stroke.y2
+  } else if (type === 'points') {
+    const pts = stroke.points
+    if (!Array.isArray(pts) || pts.length < 2 || pts.length % 2 || pts.length > MAX_BATCH_POINTS * 2 || !pts.every(inRange)) return null
+    if (stroke.begin === true) payload.begin = true
+    payload.points = pts.slice()
+  }
+
+  if (type !== 'fill') payload.size = size
+  payload.color = eraser ? ERASER_COLOR : colorOf(stroke.color)
+  if (eraser) payload.tool = 'eraser'
+  const opacity = eraser ? 1 : opacityOf(stroke.opacity)
+  if (opacity < 1) payload.opacity = opacity
+  return payload
+}
+
+// What an op costs against the drawer's rate limit: its points, not the event
+export function strokeCost(payload) {
+  return payload.type === 'points' ? payload.points.length / 2 : 1
+}
+
+export function resetStrokes(room) {
+  clearStrokeLog(room)
+  room._legacyCanvas = null
+  discardDraw(room)
+}
+
+// A `clear` empties the log but keeps the turn's legacy raster budget
+function clearStrokeLog(room) {
+  room.strokes = []
+  room.strokesTruncated = false
+  room.strokeSeq = 0
+  room.strokeGroup = null
+  room.strokeTail = null
+  room.redoStack = []
+}
+
+export function recordStroke(room, payload) {
+  if (!Array.isArray(room.strokes)) resetStrokes(room)
+  // Stop recording once the cap is hit; live relay keeps working
+  if (room.strokes.length >= MAX_STROKES) {
+    room.strokesTruncated = true
+    return false
+  }
+  room.strokes.push(payload)
+  return true
+}
+
+function nextStrokeId(room) {
+  room.strokeSeq = (Number(room.strokeSeq) || 0) + 1
+  return `s${room.strokeSeq}`
+}
+
+// Apply a normalized stroke to the log; returns what to relay to the room, or null when nothing changed.
+// Lines without an id join the stroke their begin opened; fills and shapes are strokes of their own
+export function applyStroke(room, payload) {
+  if (!Array.isArray(room.strokes)) resetStrokes(room)
+  if (!Array.isArray(room.redoStack)) room.redoStack = []
+  if (payload.type === 'clear') {
+    clearStrokeLog(room)
+    return payload
+  }
+  if (payload.type === 'undo') {
+    const id = payload.id || lastStrokeId(room)
+    const removed = id ? room.strokes.filter(s => s.id === id) : []
+    if (!removed.length) return null
+    room.strokes = room.strokes.filter(s => s.id !== id)
+    room.redoStack.push({ id, strokes: removed })
+    if (room.strokeGroup === id) room.strokeGroup = null
+    return { type: 'undo', id }
+  }
+  if (payload.type === 'redo') {
+    const idx = payload.id ? room.redoStack.findLastIndex(g => g.id === payload.id) : room.redoStack.length - 1
+    if (idx < 0) return null
+    const [group] = room.redoStack.splice(idx, 1)
+    for (const s of group.strokes) recordStroke(room, s)
+    return { type: 'redo', id: group.id, strokes: group.strokes }
+  }
+  const continues = (payload.type === 'line' || (payload.type === 'points' && !payload.begin)) && room.strokeGroup &&
+    (!payload.id || payload.id === room.strokeGroup)
+  if (!payload.id) payload.id = continues ? room.strokeGroup : nextStrokeId(room)
+  if (payload.type === 'points') {
+    // Each run is self-contained: a continuation starts at the point the stroke had reached
+    if (continues && room.strokeTail) payload.points.unshift(...room.strokeTail)
+    else payload.begin = true
+  }
+  room.strokeGroup = ['begin', 'line', 'points'].includes(payload.type) ? payload.id : null
+  room.strokeTail = strokeEnd(payload)
+  // New ink makes the undone strokes unreachable, as in any editor
+  room.redoStack = []
+  recordStroke(room, payload)
+  return payload
+}
+
+function strokeEnd(payload) {
+  if (payload.type === 'begin') return [payload.x, payload.y]
+  if (payload.type === 'line') return [payload.x2, payload.y2]
+  if (payload.type === 'points') return payload.points.slice(-2)
+  return null
+}
+
+function lastStrokeId(room) {
+  for (let i = room.strokes.length - 1; i >= 0; i--) {
+    if (room.strokes[i].id) return room.strokes[i].id
+  }
+  return null
+}
+
+// Clients that predate the extended protocol only know begin, line and clear (no tool or opacity).
+// Everything else is redrawn with those: undo and redo as a clear plus a replay of the log, shapes as
+// line work, and fills as line runs over the region the fill covered on a server-side raster
+// Raster work is capped per turn (a few tens of ms); fills past the cap don't reach legacy clients
+const LEGACY_RASTER_PIXELS = Number(process.env.LEGACY_RASTER_PIXELS || 4_000_000)
+const MAX_LEGACY_FILL_OPS = 2000
+const LEGACY_OPS = ['begin', 'line', 'clear']
+
+function legacyStyle(op) {
+  const style = { size: op.size, color: op.color }
+  if (op.id) style.id = op.id
+  return style
+}
+
+function polylineOps(points, style, begin = true) {
+  const ops = begin ? [{ type: 'begin', x: points[0], y: points[1], ...style }] : []
+  for (let i = 2; i < points.length; i += 2) {
+    ops.push({ type: 'line', x1: points[i - 2], y1: points[i - 1], x2: points[i], y2: points[i + 1], ...style })
+  }
+  return ops
+}
+
+// Outline as a polyline; filled shapes are hatched with brush-wide rows inside it
+function shapeOps(op) {
+  const style = legacyStyle(op)
+  if (op.shape === 'line') return polylineOps([op.x1, op.y1, op.x2, op.y2], style)
+  const [x1, x2] = [Math.min(op.x1, op.x2), Math.max(op.x1, op.x2)]
+  const [y1, y2] = [Math.min(op.y1, op.y2), Math.max(op.y1, op.y2)]
+  const cx = (x1 + x2) / 2
+  const cy = (y1 + y2) / 2
+  const rx = (x2 - x1) / 2
+  const ry = (y2 - y1) / 2
+  let outline
+  if (op.shape === 'rect') {
+    outline = [x1, y1, x2, y1, x2, y2, x1, y2, x1, y1]
+  } else {
+    const steps = Math.max(12, Math.min(64, Math.ceil(Math.PI * (rx + ry) / 8)))
+    outline = []
+    for (let i = 0; i <= steps; i++) {
+      const a = (2 * Math.PI * i) / steps
+      outline.push(cx + rx * Math.cos(a), cy + ry * Math.sin(a))
+    }
+  }
+  const ops = polylineOps(outline, style)
+  if (!op.filled) return ops
+  const size = Math.max(1, Math.min(MAX_BRUSH_SIZE, y2 - y1))
+  for (let y = y1 + size / 2; y < y2; y += size) {
+    const t = ry ? (y - cy) / ry : 0
+    const half = op.shape === 'rect' ? rx : rx * Math.sqrt(Math.max(0, 1 - t * t))
+    // Keep the round caps inside the outline
+    const inset = Math.min(half, size / 2)
+    ops.push(...polylineOps([cx - half + inset, y, cx + half - inset, y], { ...style, size }))
+  }
+  return ops
+}
+
+// Filled [y, left, right] runs, stacked into rectangles and drawn as rows of brush-wide lines
+function fillRunOps(op, runs) {
+  const style = legacyStyle(op)
+  const rects = []
+  for (const [y, left, right] of runs.slice().sort((p, q) => p[1] - q[1] || p[2] - q[2] || p[0] - q[0])) {
+    const last = rects[rects.length - 1]
+    if (last && last.left === left && last.right === right && last.y + last.rows === y) last.rows++
+    else rects.push({ y, left, right, rows: 1 })
+  }
+  const ops = []
+  for (const r of rects) {
+    for (let y = r.y; y < r.y + r.rows; y += MAX_BRUSH_SIZE) {
+      const size = Math.min(MAX_BRUSH_SIZE, r.y + r.rows - y)
+      const inset = Math.min((r.right - r.left + 1) / 2, size / 2)
+      const mid = y + size / 2
+      ops.push(...polylineOps([r.left + inset, mid, r.right + 1 - inset, mid], { ...style, size }))
+      if (ops.length >= MAX_LEGACY_FILL_OPS) return ops
+    }
+  }
+  return ops
+}
+
+// Raster of the current log for working out fill regions; rebuilt when the log is replaced (undo, clear)
+function legacyCanvas(room) {
+  let canvas = room._legacyCanvas
+  if (!canvas) canvas = room._legacyCanvas = { budget: LEGACY_RASTER_PIXELS, log: null, renderer: null, fed: 0, fills: new Map() }
+  if (canvas.log !== room.strokes) {
+    canvas.log = room.strokes
+    canvas.renderer = null
+    canvas.fed = 0
+    canvas.fills = new Map()
+  }
+  return canvas
+}
+
+function legacyFill(room, op) {
+  if (!Array.isArray(room.strokes)) return []
+  const canvas = legacyCanvas(room)
+  if (canvas.fills.has(op)) return canvas.fills.get(op)
+  const log = room.strokes
+  const at = log.indexOf(op)
+  const idx = at === -1 ? log.length : at // not recorded once the log is full
+  if (!canvas.renderer || canvas.fed > idx) {
+    canvas.renderer = createRenderer({ maxPixels: canvas.budget, vector: false })
+    canvas.fed = 0
+  }
+  const before = canvas.renderer.remaining()
+  for (; canvas.fed < idx; canvas.fed++) canvas.renderer.draw(log[canvas.fed])
+  const runs = canvas.renderer.draw(op) || []
+  if (at !== -1) canvas.fed = idx + 1
+  canvas.budget -= before - canvas.renderer.remaining()
+  const ops = fillRunOps(op, runs)
+  canvas.fills.set(op, ops)
+  return ops
+}
+
+// The stroke log as legacy ops, in order
+function legacyReplay(room) {
+  const strokes = Array.isArray(room.strokes) ? room.strokes : []
+  return strokes.flatMap(op => legacyOps(op, room))
+}
+
+// The same op as clients on the old protocol understand it; fill, undo and redo need the room's log
+export function legacyOps(op, room) {
+  if (op.type === 'undo' || op.type === 'redo') return room ? [{ type: 'clear' }, ...legacyReplay(room)] : []
+  if (op.type === 'fill') return room ? legacyFill(room, op) : []
+  if (op.type === 'shape') return shapeOps(op)
+  if (op.type === 'points') return polylineOps(op.points, legacyStyle(op), !!op.begin)
+  const { tool: _tool, opacity: _opacity, ...plain } = op
+  return [plain]
+}
+
+function needsLegacyForm(op) {
+  return !LEGACY_OPS.includes(op.type) || op.tool !== undefined || op.opacity !== undefined
+}
+
+// Clients that understand draw_batch join DRAW_BATCH_ROOM at handshake, all others DRAW_LEGACY_ROOM
+export const DRAW_BATCH_ROOM = 'draw:batch'
+export const DRAW_LEGACY_ROOM = 'draw:legacy'
+const DRAW_FLUSH_MS = Number(process.env.DRAW_FLUSH_MS ?? 30)
+
+// Relayed ops are coalesced per room: one draw_batch per flush, or one draw per op for legacy clients.
+// Legacy forms are worked out now, against the log as it is when the op was applied
+export function queueDraw(io, room, senderId, op) {
+  if (room._drawQueue && room._drawQueue.senderId !== senderId) flushDraw(io, room)
+  if (!room._drawQueue) room._drawQueue = { senderId, ops: [], legacy: [] }
+  room._drawQueue.ops.push(op)
+  room._drawQueue.legacy.push(...legacyOps(op, room))
+  if (DRAW_FLUSH_MS <= 0) return flushDraw(io, room)
+  if (!room._drawFlushHandle) room._drawFlushHandle = setTimeout(() => flushDraw(io, room), DRAW_FLUSH_MS)
+}
+
+export function flushDraw(io, room) {
+  if (room._drawFlushHandle) { try { clearTimeout(room._drawFlushHandle) } catch {} }
+  room._drawFlushHandle = null
+  const queue = room._drawQueue
+  room._drawQueue = null
+  if (!queue?.ops.length) return
+  io.to(room.code).except([queue.senderId, DRAW_LEGACY_ROOM]).emit('draw_batch', { strokes: queue.ops })
+  for (const legacy of queue.legacy) io.to(room.code).except([queue.senderId, DRAW_BATCH_ROOM]).emit('draw', legacy)
+}
+
+// Drop ops still waiting for a flush (a new turn's canvas must not get the last turn's ink)
+export function discardDraw(room) {
+  if (room._drawFlushHandle) { try { clearTimeout(room._drawFlushHandle) } catch {} }
+  room._drawFlushHandle = null
+  room._drawQueue = null
+}
+
+export function sendCanvasSnapshot(io, room, socketId) {
+  if (!room || room.phase !== 'drawing') return
+  const strokes = Array.isArray(room.strokes) ? room.strokes : []
+  const truncated = !!room.strokesTruncated
+  if (!strokes.some(needsLegacyForm)) {
+    io.to(socketId).emit('canvas_snapshot', { strokes, truncated })
+    return
+  }
+  io.to(socketId).except(DRAW_LEGACY_ROOM).emit('canvas_snapshot', { strokes, truncated })
+  io.to(socketId).except(DRAW_BATCH_ROOM).emit('canvas_snapshot', { strokes: legacyReplay(room), truncated })
+}
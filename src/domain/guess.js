@@ -0,0 +1,88 @@
+// Guess matching shared by the chat handler: case, accent, whitespace and hyphen insensitive
+
+// Letters NFKD does not decompose into base letter + mark
+const FOLD = { 'ß': 'ss', 'æ': 'ae', 'œ': 'oe', 'ø': 'o', 'ł': 'l', 'đ': 'd', 'ı': 'i' }
+
+export function normalizeText(text) {
+  return String(text || '')
+    .normalize('NFKD')
+    .replace(/\p{M}+/gu, '')
+    .toLowerCase()
+    .replace(/[ßæœøłđı]/g, ch => FOLD[ch])
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim()
+}
+
+// "Ice-Cream", "ice cream" and "icecream" all compact to "icecream"
+export function compactText(text) {
+  return normalizeText(text).replace(/ /g, '')
+}
+
+export function tokensOf(text) {
+  return normalizeText(text).split(' ').filter(Boolean)
+}
+
+export function isCorrectGuess(guess, word, accept = []) {
+  const g = compactText(guess)
+  if (!g) return false
+  return [word, ...(Array.isArray(accept) ? accept : [])].some(w => compactText(w) === g)
+}
+
+function levenshtein(a, b) {
+  const dp = Array(b.length + 1).fill(0)
+  for (let j = 0; j <= b.length; j++) dp[j] = j
+  for (let i = 1; i <= a.length; i++) {
+    let prev = dp[0]
+    dp[0] = i
+    for (let j = 1; j <= b.length; j++) {
+      const temp = dp[j]
+      dp[j] = Math.min(
+        dp[j] + 1,
+        dp[j-1] + 1,
+        prev + (a[i-1] === b[j-1] ? 0 : 1)
+      )
+      prev = temp
+    }
+  }
+  return dp[b.length]
+}
+
+export function isCloseGuess(guess, word) {
+  let a = compactText(guess)
+  let b = compactText(word)
+  if (!a || !b || a === b) return false
+  // Early exit: large length difference relative to answer
+  const maxClose = Math.max(1, Math.floor(b.length * 0.25))
+  if (Math.abs(a.length - b.length) > maxClose) return false
+  // Limit computation cost
+  const MAX_LEN = 40
+  if (a.length > MAX_LEN) a = a.slice(0, MAX_LEN)
+  if (b.length > MAX_LEN) b = b.slice(0, MAX_LEN)
+  return levenshtein(a, b) <= maxClose
+}
+
+// How near a wrong guess is: close (typo away, to the word or a synonym) or partial (has one word of a phrase)
+export function guessFeedback(guess, word, accept = []) {
+  const answers = [word, ...(Array.isArray(accept) ? accept : [])]
+  if (answers.some(w => isCloseGuess(guess, w))) return { close: true, partial: false }
+  const answerTokens = tokensOf(word)
+  if (answerTokens.length < 2) return { close: false, partial: false }
+  const guessTokens = new Set(tokensOf(guess))
+  const partial = answerTokens.some(t => t.length >= 2 && guessTokens.has(t))
+  return { close: false, partial }
+}
+
+
+// True if the message spells out the word or a synonym as whole words ("ice-cream", "c a t"), not inside others ("scar")
+export function containsWord(text, word, accept = []) {
+  const tokens = tokensOf(text)
+  const targets = new Set([word, ...(Array.isArray(accept) ? accept : [])].map(compactText).filter(w => w.length >= 2))
+  for (let i = 0; i < tokens.length; i++) {
+    let joined = ''
+    for (let j = i; j < tokens.length; j++) {
+      joined += tokens[j]
+      if (targets.has(joined)) return true
+    }
+  }
+  return false
+}
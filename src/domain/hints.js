@@ -1,14 +1,20 @@
-import { maskWord } from './words.js'
+import { maskWord, isMaskable } from './words.js'
+import { getSettings } from './settings.js'
 
-export function revealHintOverTime(io, room, defaults) {
+export function revealHintOverTime(io, room) {
   const { currentWord } = room
-  const indices = currentWord.split('').map((_, i) => i).filter(i => currentWord[i] !== ' ')
+  const { hints } = getSettings(room)
+  const indices = currentWord.split('').map((_, i) => i).filter(i => isMaskable(currentWord[i]))
   const toReveal = new Set()
-  const interval = Math.max(8, Math.floor(defaults.roundTime * 0.2))
+  let remaining = Math.min(Number(hints) || 0, indices.length)
+  if (remaining <= 0) return null
+  // Spread the reveals evenly across the turn
+  const interval = Math.max(5, Math.floor(Number(room.timer || 0) / (remaining + 1)))
   const hintInterval = setInterval(() => {
     if (room.phase !== 'drawing') { clearInterval(hintInterval); return }
-    if (indices.length === 0) { clearInterval(hintInterval); return }
+    if (indices.length === 0 || remaining <= 0) { clearInterval(hintInterval); return }
     const idx = indices.splice(Math.floor(Math.random()*indices.length), 1)[0]
+    remaining -= 1
     toReveal.add(idx)
     room.hint = maskWord(currentWord, toReveal)
     io.to(room.code).emit('hint_update', room.hint)
@@ -0,0 +1,163 @@
+import crypto from 'crypto'
+import { getSettings } from './settings.js'
+import { getGamesCol, getDrawingsCol } from '../db/mongo.js'
+import { renderInBackground } from '../render/background.js'
+
+// Match history: one `games` document per game, written as the game unfolds
+export function newGameId() {
+  return crypto.randomBytes(9).toString('base64url')
+}
+
+// Same key the score counters use: Telegram id when known, else socket id
+export function playerKey(player) {
+  return String(player?.tgId || player?.id || '')
+}
+
+// Final order by score; tied players share a rank
+export function buildStandings(players) {
+  const sorted = Array.from(players).sort((a, b) => (b.score || 0) - (a.score || 0))
+  let rank = 0
+  return sorted.map((p, i) => {
+    if (i === 0 || (p.score || 0) !== (sorted[i - 1].score || 0)) rank = i + 1
+    return { key: playerKey(p), name: p.name, tgId: p.tgId || null, score: p.score || 0, rank }
+  })
+}
+
+// Writes for one room run in order so turn updates never land before the turn exists
+function enqueue(room, write) {
+  const gameId = room.gameId
+  if (!gameId) return
+  room._historyQueue = (room._historyQueue || Promise.resolve())
+    .then(async () => {
+      const gamesCol = getGamesCol()
+      if (gamesCol) await write(gamesCol, gameId)
+    })
+    .catch(() => {})
+}
+
+function participantOf(player) {
+  return { key: playerKey(player), name: player.name, tgId: player.tgId || null, avatarUrl: player.avatarUrl || null }
+}
+
+export function beginGameRecord(room) {
+  room.gameId = newGameId()
+  room.turnIndex = -1
+  const participants = Array.from(room.players.values()).map(participantOf)
+  const doc = {
+    _id: room.gameId,
+    roomCode: room.code,
+    chatInstance: room.chatInstance || null,
+    status: 'active',
+    startedAt: new Date(),
+    endedAt: null,
+    settings: { ...getSettings(room), customWordCount: Array.isArray(room.customWords) ? room.customWords.length : 0 },
+    participants,
+    participantKeys: participants.map(p => p.key),
+    turns: [],
+    standings: [],
+  }
+  enqueue(room, col => col.insertOne(doc))
+  return room.gameId
+}
+
+// Late joiners count as participants too
+export function addGameParticipant(room, player) {
+  if (!room.gameId || room.phase === 'waiting' || room.phase === 'ended') return
+  const participant = participantOf(player)
+  enqueue(room, (col, _id) => col.updateOne(
+    { _id, participantKeys: { $ne: participant.key } },
+    { $push: { participants: participant, participantKeys: participant.key } }
+  ))
+}
+
+export function recordTurnStart(room, drawer) {
+  if (!room.gameId) return
+  room.turnIndex = (room.turnIndex ?? -1) + 1
+  const turn = {
+    index: room.turnIndex,
+    round: room.round,
+    drawer: drawer ? { key: playerKey(drawer), name: drawer.name } : null,
+    word: null,
+    difficulty: null,
+    startedAt: new Date(),
+    endedAt: null,
+    guesses: [],
+    drawerPoints: 0,
+  }
+  enqueue(room, (col, _id) => col.updateOne({ _id }, { $push: { turns: turn } }))
+}
+
+export function recordTurnWord(room) {
+  const i = room.turnIndex
+  if (!room.gameId || i < 0) return
+  const $set = {
+    [`turns.${i}.word`]: room.currentWord,
+    [`turns.${i}.difficulty`]: room.currentDifficulty || null,
+    [`turns.${i}.turnTime`]: room.turnTime,
+  }
+  enqueue(room, (col, _id) => col.updateOne({ _id }, { $set }))
+}
+
+// guessTime is seconds from the start of drawing to the correct guess
+export function recordGuess(room, player, { rank, timeLeft, points }) {
+  const i = room.turnIndex
+  if (!room.gameId || i < 0) return
+  const guess = {
+    key: playerKey(player),
+    name: player.name,
+    rank,
+    guessTime: Math.max(0, (Number(room.turnTime) || 0) - timeLeft),
+    points,
+    at: new Date(),
+  }
+  enqueue(room, (col, _id) => col.updateOne({ _id }, { $push: { [`turns.${i}.guesses`]: guess } }))
+}
+
+export function recordTurnEnd(room, { drawer } = {}) {
+  const i = room.turnIndex
+  if (!room.gameId || i < 0) return
+  const $set = {
+    [`turns.${i}.endedAt`]: new Date(),
+    [`turns.${i}.drawerPoints`]: drawer?.points || 0,
+  }
+  enqueue(room, (col, _id) => col.updateOne({ _id }, { $set }))
+}
+
+// Render the finished turn to PNG and SVG and keep them with the game. Rendering starts now, on the
+// render worker; the drawing is stored once it is done, in order with the game's other writes
+export function recordTurnDrawing(room, drawer) {
+  const i = room.turnIndex
+  const strokes = room.strokes
+  if (!room.gameId || i < 0 || !Array.isArray(strokes) || !strokes.length || !getDrawingsCol()) return
+  const meta = {
+    turnIndex: i,
+    round: room.round,
+    word: room.currentWord || null,
+    drawer: drawer ? { key: playerKey(drawer), name: drawer.name } : null,
+    consent: drawer?.shareDrawings === true,
+  }
+  const logTruncated = !!room.strokesTruncated
+  const rendering = renderInBackground(strokes).catch((e) => {
+    console.warn('Drawing render failed:', e?.message || e)
+    return null
+  })
+  enqueue(room, async (col, gameId) => {
+    const drawingsCol = getDrawingsCol()
+    const rendered = await rendering
+    if (!drawingsCol || !rendered) return
+    const { png, svg, width, height, truncated } = rendered
+    const _id = crypto.randomBytes(9).toString('base64url')
+    await drawingsCol.insertOne({ _id, gameId, ...meta, width, height, truncated: truncated || logTruncated, png, svg, createdAt: new Date() })
+    await col.updateOne({ _id: gameId }, { $set: { [`turns.${i}.drawingId`]: _id } })
+  })
+}
+
+// status: completed (played to the end) or aborted (players left, room closed)
+export function finishGameRecord(room, status = 'completed') {
+  if (!room.gameId) return
+  const standings = buildStandings(room.players.values())
+  enqueue(room, (col, _id) => col.updateOne(
+    { _id, status: 'active' },
+    { $set: { status, endedAt: new Date(), standings, winnerKey: standings[0]?.key || null } }
+  ))
+}
@@ -0,0 +1,58 @@
+import { getSettings } from './settings.js'
+import { packLanguages } from './wordpacks.js'
+import { getRoomsCol } from '../db/mongo.js'
+
+// Public room browser and quick play
+export function roomLanguage(room) {
+  return packLanguages(getSettings(room).wordPacks)[0] || 'en'
+}
+
+export function listingFor(room) {
+  const settings = getSettings(room)
+  const players = Array.from(room.players.values()).filter(p => p.connected !== false).length
+  return {
+    code: room.code,
+    players,
+    spectators: room.spectators?.size || 0,
+    maxPlayers: settings.maxPlayers,
+    phase: room.phase,
+    language: roomLanguage(room),
+    protected: !!room.passwordHash,
+    joinable: room.phase === 'waiting' && room.players.size < settings.maxPlayers,
+    settings: {
+      maxRounds: settings.maxRounds,
+      roundTime: settings.roundTime,
+      wordMode: settings.wordMode,
+      wordPacks: settings.wordPacks,
+      scoring: settings.scoring,
+    },
+  }
+}
+
+// Mirror listing fields to Mongo only when they change, so other readers see the same list
+export function syncListing(room) {
+  const listing = listingFor(room)
+  const isPublic = !!getSettings(room).isPublic
+  const key = JSON.stringify([isPublic, listing.players, listing.maxPlayers, listing.phase, listing.language, listing.protected])
+  if (room._listingKey === key) return
+  room._listingKey = key
+  ;(async () => {
+    try {
+      const roomsCol = getRoomsCol()
+      if (roomsCol) await roomsCol.updateOne({ _id: room.code }, { $set: { public: isPublic, listing, listedAt: new Date() } })
+    } catch {}
+  })()
+}
+
+// Best public waiting room for quick play: same language, not full, fullest first (starts soonest)
+export function pickQuickPlayRoom(rooms, { language } = {}) {
+  let best = null
+  for (const room of rooms.values()) {
+    if (!getSettings(room).isPublic) continue
+    const listing = listingFor(room)
+    if (!listing.joinable || listing.protected) continue
+    if (language && listing.language !== language) continue
+    if (!best || listing.players > best.players) best = { room, players: listing.players }
+  }
+  return best ? best.room : null
+}
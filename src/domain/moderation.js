@@ -0,0 +1,53 @@
+// Kick votes and per-room bans; bans last until the room is gone
+export const VOTE_KICK_MIN_PLAYERS = 3
+
+function ensureBans(room) {
+  if (!room.bans) room.bans = { socketIds: new Set(), tgIds: new Set() }
+  return room.bans
+}
+
+export function banPlayer(room, player) {
+  const bans = ensureBans(room)
+  if (player?.id) bans.socketIds.add(String(player.id))
+  if (player?.tgId) bans.tgIds.add(String(player.tgId))
+}
+
+export function isBanned(room, { socketId, tgId } = {}) {
+  if (!room?.bans) return false
+  if (socketId && room.bans.socketIds.has(String(socketId))) return true
+  if (tgId && room.bans.tgIds.has(String(tgId))) return true
+  return false
+}
+
+// Forget votes cast by or against a player who is gone
+export function clearKickVotes(room, playerId) {
+  if (!room.kickVotes) return
+  room.kickVotes.delete(playerId)
+  for (const voters of room.kickVotes.values()) voters.delete(playerId)
+}
+
+// Carry votes cast by or against a player over to their new socket id after a reconnect
+export function moveKickVotes(room, oldId, newId) {
+  if (!room.kickVotes) return
+  room.kickVotes = new Map(Array.from(room.kickVotes.entries(), ([target, voters]) => [
+    target === oldId ? newId : target,
+    new Set(Array.from(voters, id => (id === oldId ? newId : id))),
+  ]))
+}
+
+// Majority of the other online players must vote for the target
+export function castKickVote(room, voterId, targetId) {
+  if (!room.players.has(voterId)) return { ok: false, error: 'NOT_IN_ROOM' }
+  if (!room.players.has(targetId)) return { ok: false, error: 'PLAYER_NOT_FOUND' }
+  if (voterId === targetId) return { ok: false, error: 'CANNOT_KICK_SELF' }
+  const online = Array.from(room.players.values()).filter(p => p.connected !== false)
+  if (online.length < VOTE_KICK_MIN_PLAYERS) return { ok: false, error: 'VOTE_KICK_UNAVAILABLE' }
+  if (!room.kickVotes) room.kickVotes = new Map()
+  const voters = room.kickVotes.get(targetId) || new Set()
+  if (voters.has(voterId)) return { ok: false, error: 'ALREADY_VOTED' }
+  voters.add(voterId)
+  room.kickVotes.set(targetId, voters)
+  const eligible = online.filter(p => p.id !== targetId).length
+  const needed = Math.floor(eligible / 2) + 1
+  return { ok: true, votes: voters.size, needed, passed: voters.size >= needed }
+}
@@ -0,0 +1,39 @@
+// Leaderboard windows; buckets are UTC calendar periods, seasons are ids kept in Mongo
+export const PERIODS = ['day', 'week', 'month', 'season', 'all']
+export const CALENDAR_PERIODS = ['day', 'week', 'month']
+
+const pad = n => String(n).padStart(2, '0')
+
+// ISO-8601 week: weeks start Monday, week 1 holds the year's first Thursday
+function isoWeek(date) {
+  const d = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()))
+  const day = d.getUTCDay() || 7
+  d.setUTCDate(d.getUTCDate() + 4 - day)
+  const yearStart = new Date(Date.UTC(d.getUTCFullYear(), 0, 1))
+  const week = Math.ceil(((d - yearStart) / 86400000 + 1) / 7)
+  return `${d.getUTCFullYear()}-W${pad(week)}`
+}
+
+export function periodBucket(period, date = new Date()) {
+  if (period === 'day') return `${date.getUTCFullYear()}-${pad(date.getUTCMonth() + 1)}-${pad(date.getUTCDate())}`
+  if (period === 'week') return isoWeek(date)
+  if (period === 'month') return `${date.getUTCFullYear()}-${pad(date.getUTCMonth() + 1)}`
+  return null
+}
+
+// Short-lived buckets expire on their own (TTL index on expiresAt)
+const BUCKET_TTL_DAYS = { day: 35, week: 400 }
+export function bucketExpiry(period, date = new Date()) {
+  const days = BUCKET_TTL_DAYS[period]
+  return days ? new Date(date.getTime() + days * 86400000) : null
+}
+
+export function parsePeriod(value) {
+  const period = value ? String(value).toLowerCase() : 'all'
+  return PERIODS.includes(period) ? period : null
+}
+
+// Global rows have chat null; group rows are scoped to a Telegram chat_instance
+export function scoreDocId(period, bucket, userId, chat = null) {
+  return chat ? `c:${chat}:${period}:${bucket}:${userId}` : `${period}:${bucket}:${userId}`
+}
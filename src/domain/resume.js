@@ -0,0 +1,29 @@
+// Rooms restored after a restart wait in the "resuming" phase until their players reclaim their seats
+export const RESUMING_PHASE = 'resuming'
+
+export function enterResuming(room, { waitMs }) {
+  room.resumePhase = room.phase
+  room.phase = RESUMING_PHASE
+  room.resumeDeadline = Date.now() + waitMs
+  for (const p of room.players.values()) {
+    p.connected = false
+    p.disconnectedAt = Date.now()
+  }
+  return room
+}
+
+// Everyone is back, so there is no reason to wait out the deadline
+export function resumeReady(room) {
+  if (room.phase !== RESUMING_PHASE) return false
+  return Array.from(room.players.values()).every(p => p.connected !== false)
+}
+
+// Put the interrupted phase back; a turn in progress gets the seconds it had left when it was saved
+export function leaveResuming(room) {
+  const phase = room.resumePhase || 'waiting'
+  room.phase = phase
+  delete room.resumePhase
+  delete room.resumeDeadline
+  if (phase === 'drawing') room.turnEndsAt = Date.now() + Math.max(1, Number(room.timer) || 0) * 1000
+  return phase
+}
@@ -1,6 +1,33 @@
 import { getRandomChoices, maskWord } from './words.js';
 import { revealHintOverTime } from './hints.js';
-import { incrementGamesPlayed, getRoomsCol } from '../db/mongo.js';
+import { resetStrokes, flushDraw, discardDraw } from './canvas.js';
+import { getSettings, turnTimeFor } from './settings.js';
+import { getScoringStrategy } from './scoring.js';
+import { listSpectators } from './spectators.js';
+import { syncListing } from './lobby.js';
+import { recordTurnStart, recordTurnWord, recordGuess, recordTurnEnd, recordTurnDrawing, finishGameRecord, buildStandings } from './history.js';
+import { wordStatKey } from './stats.js';
+import { teamsEnabled, nextTeamDrawerIndex, noteTeamDrawer, countTeamTurn, turnGuessers, teamTotals } from './teams.js';
+import { getRoomsCol, incrementScore, addToTotalScore, recordGuessStats, recordDrawerStats, recordGameResult } from '../db/mongo.js';
+
+// Listeners called with (room, { standings, status }) whenever a game ends
+const gameOverListeners = [];
+export function onGameOver(listener) {
+  gameOverListeners.push(listener);
+}
+
+function notifyGameOver(room, status) {
+  const standings = buildStandings(room.players.values());
+  for (const listener of gameOverListeners) {
+    try { listener(room, { standings, status }); } catch {}
+  }
+}
+
+// Listeners called with the room after every room_state broadcast (the room store snapshots it)
+const roomStateListeners = [];
+export function onRoomState(listener) {
+  roomStateListeners.push(listener);
+}
 
 export function broadcastRoomState(io, room) {
   const players = Array.from(room.players.values()).map(p => ({
@@ -9,32 +36,62 @@ export function broadcastRoomState(io, room) {
     tgId: p.tgId || null, 
     avatarUrl: p.avatarUrl || null,
     score: p.score, 
-    guessed: p.guessed
+    guessed: p.guessed,
+    connected: p.connected !== false,
+    team: teamsEnabled(room) ? p.team ?? null : null
   }));
   const drawerOrder = Array.isArray(room.playerOrder) ? room.playerOrder : Array.from(room.players.keys());
   const drawerId = drawerOrder[room.drawerIndex] || null;
   io.to(room.code).emit('room_state', {
     code: room.code,
     players,
+    teams: teamTotals(room),
+    spectators: listSpectators(room),
     round: room.round,
-    maxRounds: room.maxRounds,
+    maxRounds: getSettings(room).maxRounds,
+    settings: getSettings(room),
+    customWordCount: Array.isArray(room.customWords) ? room.customWords.length : 0,
     drawerId,
     hint: room.hint || null,
+    difficulty: room.phase === 'drawing' ? room.currentDifficulty || null : null,
     phase: room.phase,
     timer: room.timer,
+    resumeDeadline: room.resumeDeadline || null,
     hostId: room.hostId || null,
     hostTgId: room.hostTgId || null,
+    protected: !!room.passwordHash,
   });
+  syncListing(room);
+  for (const listener of roomStateListeners) {
+    try { listener(room); } catch {}
+  }
+}
+
+export function currentDrawerId(room) {
+  const order = Array.isArray(room.playerOrder) ? room.playerOrder : Array.from(room.players.keys());
+  return order[room.drawerIndex] || null;
+}
+
+// Choices as sent to the drawer; accepted synonyms stay server-side
+export function publicChoices(room) {
+  return (room.choices || []).map(c => ({ word: c.word, difficulty: c.difficulty }));
 }
 
 export function getNextDrawerIndex(room) {
   const order = Array.isArray(room.playerOrder) ? room.playerOrder : Array.from(room.players.keys());
   if (order.length === 0) return 0;
+  // Team mode alternates teams; the plain rotation below is the fallback when no team can draw
+  if (teamsEnabled(room)) {
+    const idx = nextTeamDrawerIndex(room, order);
+    if (idx !== -1) return idx;
+  }
   const n = order.length;
   for (let step = 1; step <= n; step++) {
     const idx = (room.drawerIndex + step) % n;
     const candidateId = order[idx];
-    if (room.players.has(candidateId)) return idx;
+    const candidate = room.players.get(candidateId);
+    // Skip players who are offline inside their reconnect grace window
+    if (candidate && candidate.connected !== false) return idx;
   }
   return 0;
 }
@@ -43,14 +100,26 @@ export function allGuessed(room) {
   const players = Array.from(room.players.values());
   const order = Array.isArray(room.playerOrder) ? room.playerOrder : Array.from(room.players.keys());
   const currentDrawerId = order[room.drawerIndex];
-  return players.filter(p => p.id !== currentDrawerId).every(p => p.guessed);
+  // In team mode only the drawer's teammates need to guess
+  const others = teamsEnabled(room) ? turnGuessers(room, currentDrawerId) : players.filter(p => p.id !== currentDrawerId);
+  // Offline players don't hold the turn open, but if every guesser is offline let the timer run
+  const online = others.filter(p => p.connected !== false);
+  if (others.length > 0 && online.length === 0) return false;
+  return online.every(p => p.guessed);
 }
 
 export function startTurn(io, room) {
   if (room.phase === 'ended') return;
   room.phase = 'choosing';
   room.currentWord = null;
+  room.currentDifficulty = null;
+  room.currentAccept = [];
   room.hint = null;
+  room.turnGuesses = [];
+  room.turnDrawerId = null;
+  room._turnSettled = false;
+  resetStrokes(room);
+  recordTurnStart(room, room.players.get(currentDrawerId(room)));
   // Persist phase change
   (async () => {
     try { const roomsCol = getRoomsCol(); if (roomsCol) await roomsCol.updateOne({ _id: room.code }, { $set: { phase: 'choosing' } }, { upsert: true }); } catch {}
@@ -59,37 +128,56 @@ export function startTurn(io, room) {
   // Note: this is async; emit choices once available
   (async () => {
     try {
-      room.choices = await getRandomChoices(3);
+      const settings = getSettings(room);
+      room.choices = await getRandomChoices(settings.wordChoices, {
+        customWords: room.customWords,
+        mode: settings.wordMode,
+        customRatio: settings.customRatio,
+        packs: settings.wordPacks,
+      });
     } catch {
-      room.choices = room.choices && room.choices.length ? room.choices : ['cat','dog','tree'];
+      room.choices = room.choices && room.choices.length ? room.choices : [
+        { word: 'cat', difficulty: 'easy' },
+        { word: 'tree', difficulty: 'medium' },
+        { word: 'castle', difficulty: 'hard' },
+      ];
     }
     const order = Array.isArray(room.playerOrder) ? room.playerOrder : Array.from(room.players.keys());
     const drawerId = order[room.drawerIndex];
     io.to(room.code).emit('turn_start', { drawerId });
-    io.to(drawerId).emit('word_choices', room.choices);
+    io.to(drawerId).emit('word_choices', publicChoices(room));
     room.players.forEach(p => { p.guessed = false; });
   })();
 }
 
-export function beginDrawingPhase(io, room, defaults, word) {
+export function beginDrawingPhase(io, room, word) {
   room.currentWord = word;
+  const choice = (room.choices || []).find(c => c.word === word);
+  room.currentDifficulty = choice?.difficulty || 'medium';
+  room.currentAccept = Array.isArray(choice?.accept) ? choice.accept : [];
   room.hint = maskWord(word);
   room.phase = 'drawing';
   // Persist phase change
   (async () => {
     try { const roomsCol = getRoomsCol(); if (roomsCol) await roomsCol.updateOne({ _id: room.code }, { $set: { phase: 'drawing', startedAt: new Date(), endedAt: null } }); } catch {}
   })();
-  const base = Number(defaults?.roundTime || 75);
-  const multipliers = [1.0, 0.85, 0.7];
-  const m = multipliers[(room.round - 1) % multipliers.length] || 0.6;
-  room.timer = Math.max(20, Math.round(base * m));
+  room.timer = turnTimeFor(getSettings(room), room.round);
+  room.turnTime = room.timer;
+  room.turnEndsAt = Date.now() + room.timer * 1000;
+  room.turnDrawerId = currentDrawerId(room);
+  recordTurnWord(room);
   io.to(room.code).emit('hint_update', room.hint);
   broadcastRoomState(io, room);
+  startTurnClock(io, room);
+}
+
+// Hint reveals and the per-second countdown for the drawing phase, from room.timer
+function startTurnClock(io, room) {
   // Clear any existing timers before starting new ones
   if (room._hintHandle) { try { clearInterval(room._hintHandle); } catch {} }
   if (room._tickHandle) { try { clearInterval(room._tickHandle); } catch {} }
   if (room._intermissionHandle) { try { clearTimeout(room._intermissionHandle); } catch {} finally { room._intermissionHandle = null } }
-  room._hintHandle = revealHintOverTime(io, room, defaults);
+  room._hintHandle = revealHintOverTime(io, room);
 
   const tick = setInterval(() => {
     if (room.phase !== 'drawing') { 
@@ -98,6 +186,7 @@ export function beginDrawingPhase(io, room, defaults, word) {
       return; 
     }
     room.timer -= 1;
+    room.turnEndsAt = Date.now() + room.timer * 1000;
     io.to(room.code).emit('timer', room.timer);
 
     if (room.timer <= 0 || allGuessed(room)) {
@@ -108,13 +197,105 @@ export function beginDrawingPhase(io, room, defaults, word) {
   room._tickHandle = tick;
 }
 
+// Score a correct guess with the room's strategy and remember it for the turn summary.
+// A team-mode steal pays the guesser but not the drawer
+export function scoreCorrectGuess(room, player, { steal = false } = {}) {
+  const strategy = getScoringStrategy(getSettings(room).scoring);
+  if (!Array.isArray(room.turnGuesses)) room.turnGuesses = [];
+  const timeLeft = Math.max(0, Number(room.timer) || 0);
+  const rank = room.turnGuesses.length;
+  const { points, breakdown } = strategy.scoreGuess({
+    timeLeft,
+    turnTime: room.turnTime,
+    rank,
+    difficulty: room.currentDifficulty,
+  });
+  player.score += points;
+  const entry = { id: player.id, name: player.name, tgId: player.tgId || null, rank, timeLeft, points, breakdown };
+  if (steal) entry.steal = true;
+  room.turnGuesses.push(entry);
+  recordGuess(room, player, entry);
+  return entry;
+}
+
+// Pay the drawer once per turn and build the score summary sent with turn_end
+function settleTurnScores(room) {
+  const strategy = getScoringStrategy(getSettings(room).scoring);
+  const guesses = Array.isArray(room.turnGuesses) ? room.turnGuesses : [];
+  const drawer = room.turnDrawerId ? room.players.get(room.turnDrawerId) : null;
+  let drawerResult = null;
+  if (drawer && !room._turnSettled) {
+    const guesserCount = turnGuessers(room, drawer.id).length;
+    const { points, breakdown } = strategy.scoreDrawer({
+      guesses: guesses.filter(g => !g.steal),
+      guesserCount,
+      turnTime: room.turnTime,
+      difficulty: room.currentDifficulty,
+    });
+    drawer.score += points;
+    drawerResult = { id: drawer.id, name: drawer.name, tgId: drawer.tgId || null, points, breakdown };
+    if (points) {
+      (async () => {
+        try {
+          await incrementScore(drawer.tgId || drawer.id, points, { chat: room.chatInstance });
+          await addToTotalScore(drawer.tgId || drawer.id, points);
+        } catch {}
+      })();
+    }
+  }
+  room._turnSettled = true;
+  return { strategy: strategy.id, guesses, drawer: drawerResult };
+}
+
+// Guess times and drawings guessed, once the turn's results are final
+function persistTurnStats(room, scores) {
+  if (!room.currentWord) return;
+  const wordKey = wordStatKey(room.currentWord);
+  const turnTime = Number(room.turnTime) || 0;
+  const drawer = room.turnDrawerId ? room.players.get(room.turnDrawerId) : null;
+  (async () => {
+    try {
+      for (const g of scores.guesses) {
+        await recordGuessStats(g.tgId || g.id, { guessTime: Math.max(0, turnTime - g.timeLeft), wordKey });
+      }
+      if (drawer) await recordDrawerStats(drawer.tgId || drawer.id, { guessedBy: scores.guesses.length, wordKey });
+    } catch {}
+  })();
+}
+
+// Games played, wins (shared on a tie), podiums and streaks for everyone still seated
+function persistGameResults(room) {
+  const standings = buildStandings(room.players.values());
+  const contested = standings.length > 1;
+  (async () => {
+    try {
+      const seen = new Set();
+      for (const s of standings) {
+        if (seen.has(s.key)) continue;
+        seen.add(s.key);
+        await recordGameResult(s.key, { won: contested && s.rank === 1, podium: contested && s.rank <= 3 });
+      }
+    } catch {}
+  })();
+}
+
 export function endTurn(io, room) {
+  // The turn's last coalesced ops go out before turn_end
+  flushDraw(io, room);
   room.phase = 'intermission';
   // Persist phase change
   (async () => {
     try { const roomsCol = getRoomsCol(); if (roomsCol) await roomsCol.updateOne({ _id: room.code }, { $set: { phase: 'intermission' } }); } catch {}
   })();
-  io.to(room.code).emit('turn_end', { word: room.currentWord });
+  const firstSettle = !room._turnSettled;
+  const scores = settleTurnScores(room);
+  if (firstSettle) {
+    recordTurnEnd(room, scores);
+    recordTurnDrawing(room, room.turnDrawerId ? room.players.get(room.turnDrawerId) : null);
+    persistTurnStats(room, scores);
+  }
+  io.to(room.code).emit('turn_end', { word: room.currentWord, difficulty: room.currentDifficulty || null, scores });
+  broadcastRoomState(io, room);
   // Proactively clear timers to avoid leaks while in intermission
   if (room._tickHandle) { try { clearInterval(room._tickHandle); } catch {} finally { room._tickHandle = null } }
   if (room._hintHandle) { try { clearInterval(room._hintHandle); } catch {} finally { room._hintHandle = null } }
@@ -139,7 +320,9 @@ export function nextTurnOrRound(io, room) {
       tgId: p.tgId || null,
       score: p.score
     }));
-    io.to(room.code).emit('game_over', { scores: finalScores });
+    io.to(room.code).emit('game_over', { scores: finalScores, teams: teamTotals(room), gameId: room.gameId || null });
+    finishGameRecord(room, 'aborted');
+    notifyGameOver(room, 'aborted');
     (async () => {
       try { const roomsCol = getRoomsCol(); if (roomsCol) await roomsCol.updateOne({ _id: room.code }, { $set: { phase: 'ended', endedAt: new Date() } }); } catch {}
     })();
@@ -148,11 +331,19 @@ export function nextTurnOrRound(io, room) {
 
   const prevIndex = room.drawerIndex;
   room.drawerIndex = getNextDrawerIndex(room);
-  // Robust wrap detection: increment round only when we wrapped around and there are at least 2 players
-  if (order.length > 1 && room.drawerIndex <= prevIndex) {
+  // Teams alternate, so the index can go backwards mid-round; count team turns instead
+  let wrapped;
+  if (teamsEnabled(room)) {
+    noteTeamDrawer(room, order[room.drawerIndex]);
+    wrapped = countTeamTurn(room);
+  } else {
+    // Robust wrap detection: increment round only when we wrapped around and there are at least 2 players
+    wrapped = order.length > 1 && room.drawerIndex <= prevIndex;
+  }
+  if (wrapped) {
     room.round += 1;
     // If exceeding maxRounds, end the game now without emitting round_started
-    if (room.round > room.maxRounds) {
+    if (room.round > getSettings(room).maxRounds) {
       room.phase = 'ended';
       const finalScores = Array.from(room.players.values()).map(p => ({
         id: p.id,
@@ -160,50 +351,38 @@ export function nextTurnOrRound(io, room) {
         tgId: p.tgId || null,
         score: p.score
       }));
-      io.to(room.code).emit('game_over', { scores: finalScores });
+      io.to(room.code).emit('game_over', { scores: finalScores, teams: teamTotals(room), gameId: room.gameId || null });
+      finishGameRecord(room, 'completed');
+      persistGameResults(room);
+      notifyGameOver(room, 'completed');
       (async () => {
         try { const roomsCol = getRoomsCol(); if (roomsCol) await roomsCol.updateOne({ _id: room.code }, { $set: { phase: 'ended', endedAt: new Date() } }); } catch {}
       })();
       return { ended: true, finalScores };
     }
-    const base = 75;
-    const multipliers = [1.0, 0.85, 0.7];
-    const idx = Math.max(0, Math.min(multipliers.length - 1, room.round - 1));
-    const time = Math.max(20, Math.round(base * multipliers[idx]));
+    const time = turnTimeFor(getSettings(room), room.round);
     io.to(room.code).emit('round_started', { round: room.round, time });
   }
-  if (room.round > room.maxRounds) {
-    room.phase = 'ended';
-    const finalScores = Array.from(room.players.values()).map(p => ({
-      id: p.id, 
-      name: p.name, 
-      tgId: p.tgId || null, 
-      score: p.score
-    }));
-    io.to(room.code).emit('game_over', { scores: finalScores });
-    // Persist ended state with endedAt for TTL cleanup
-    (async () => {
-      try { const roomsCol = getRoomsCol(); if (roomsCol) await roomsCol.updateOne({ _id: room.code }, { $set: { phase: 'ended', endedAt: new Date() } }); } catch {}
-    })();
-    // Persist gamesPlayed for all participants
-    (async () => {
-      try {
-        const uniq = new Set();
-        for (const p of room.players.values()) {
-          const key = String(p.tgId || p.id);
-          if (!uniq.has(key)) {
-            uniq.add(key);
-            await incrementGamesPlayed(key, 1);
-          }
-        }
-      } catch {}
-    })();
-    return { ended: true, finalScores };
-  }
   startTurn(io, room);
   return { ended: false };
 }
 
+// Restart the clocks of a room restored from a snapshot on another node
+export function resumeRoomTimers(io, room) {
+  clearRoomTimers(room);
+  if (room.phase === 'drawing' && room.currentWord) {
+    room.timer = Math.ceil(((room.turnEndsAt || 0) - Date.now()) / 1000);
+    if (room.timer <= 0) return endTurn(io, room);
+    io.to(room.code).emit('hint_update', room.hint);
+    startTurnClock(io, room);
+  } else if (room.phase === 'choosing' || room.phase === 'drawing') {
+    // Choices went to a socket that may be gone; deal the turn again
+    startTurn(io, room);
+  } else if (room.phase === 'intermission') {
+    room._intermissionHandle = setTimeout(() => nextTurnOrRound(io, room), 3000);
+  }
+}
+
 export function clearRoomTimers(room) {
   try { if (room._tickHandle) clearInterval(room._tickHandle); } catch {}
   try { if (room._hintHandle) clearInterval(room._hintHandle); } catch {}
@@ -211,4 +390,5 @@ export function clearRoomTimers(room) {
   room._tickHandle = null;
   room._hintHandle = null;
   room._intermissionHandle = null;
+  discardDraw(room);
 }
\ No newline at end of file
@@ -1,8 +1,66 @@
-export function guessScoreForTime(timer) {
+// Scoring strategies; a room picks one with the `scoring` setting
+// Harder words pay more, for the guesser and the drawer alike
+export const DIFFICULTY_MULTIPLIERS = { easy: 1, medium: 1.25, hard: 1.5 }
+
+export function difficultyMultiplier(difficulty) {
+  return DIFFICULTY_MULTIPLIERS[difficulty] || 1
+}
+
+export function guessScoreForTime(timer, difficulty) {
   const timeBonus = Math.max(0, Number(timer) || 0)
-  return 100 + Math.floor(timeBonus) // 100 points + time bonus
+  return Math.round((100 + Math.floor(timeBonus)) * difficultyMultiplier(difficulty)) // 100 points + time bonus
+}
+
+export function drawerBonus(difficulty) {
+  return Math.round(20 * difficultyMultiplier(difficulty)) // 20 points for drawer
+}
+
+function speedOf(timeLeft, turnTime) {
+  const total = Math.max(1, Number(turnTime) || 0)
+  return Math.max(0, Math.min(1, (Number(timeLeft) || 0) / total))
+}
+
+// Original flat model: 100 + seconds left per guess, 20 per guess for the drawer
+const classic = {
+  id: 'classic',
+  scoreGuess({ timeLeft, difficulty }) {
+    const multiplier = difficultyMultiplier(difficulty)
+    const points = guessScoreForTime(timeLeft, difficulty)
+    return { points, breakdown: { base: 100, time: Math.floor(Math.max(0, Number(timeLeft) || 0)), rank: 0, multiplier } }
+  },
+  scoreDrawer({ guesses, difficulty }) {
+    const multiplier = difficultyMultiplier(difficulty)
+    const points = drawerBonus(difficulty) * guesses.length
+    return { points, breakdown: { perGuess: drawerBonus(difficulty), guesses: guesses.length, multiplier } }
+  },
 }
 
-export function drawerBonus() {
-  return 20 // 20 points for drawer
+// skribbl-style: speed matters, early guesses earn a decaying rank bonus,
+// and the drawer is paid by how many players guessed and how quickly
+const skribbl = {
+  id: 'skribbl',
+  scoreGuess({ timeLeft, turnTime, rank, difficulty }) {
+    const multiplier = difficultyMultiplier(difficulty)
+    const base = 50
+    const time = Math.round(200 * speedOf(timeLeft, turnTime))
+    const rankBonus = Math.round(150 * Math.pow(0.6, Math.max(0, rank || 0)))
+    const points = Math.round((base + time + rankBonus) * multiplier)
+    return { points, breakdown: { base, time, rank: rankBonus, multiplier } }
+  },
+  scoreDrawer({ guesses, guesserCount, turnTime, difficulty }) {
+    const multiplier = difficultyMultiplier(difficulty)
+    const share = guesserCount > 0 ? Math.min(1, guesses.length / guesserCount) : 0
+    const avgSpeed = guesses.length
+      ? guesses.reduce((sum, g) => sum + speedOf(g.timeLeft, turnTime), 0) / guesses.length
+      : 0
+    const points = Math.round(250 * share * (0.5 + 0.5 * avgSpeed) * multiplier)
+    return { points, breakdown: { share: Number(share.toFixed(3)), speed: Number(avgSpeed.toFixed(3)), multiplier } }
+  },
+}
+
+export const SCORING_STRATEGIES = { skribbl, classic }
+export const DEFAULT_SCORING = 'skribbl'
+
+export function getScoringStrategy(id) {
+  return SCORING_STRATEGIES[id] || SCORING_STRATEGIES[DEFAULT_SCORING]
 }
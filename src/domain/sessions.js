@@ -0,0 +1,60 @@
+import crypto from 'crypto'
+import { moveKickVotes } from './moderation.js'
+
+// Resumable player sessions: a player keeps their seat while briefly offline
+export function issueSessionToken() {
+  return crypto.randomBytes(18).toString('base64url')
+}
+
+// Only seats whose player is offline can be reclaimed; a live player is never moved to another socket
+export function findResumablePlayer(room, { sessionToken, tgId } = {}) {
+  if (!room) return null
+  const token = typeof sessionToken === 'string' ? sessionToken : ''
+  for (const [sid, p] of room.players.entries()) {
+    if (p.connected !== false) continue
+    if (token && p.sessionToken && p.sessionToken === token) return sid
+  }
+  if (tgId) {
+    for (const [sid, p] of room.players.entries()) {
+      if (p.connected !== false) continue
+      if (p.tgId && String(p.tgId) === String(tgId)) return sid
+    }
+  }
+  return null
+}
+
+export function markDisconnected(player) {
+  player.connected = false
+  player.disconnectedAt = Date.now()
+}
+
+export function clearGrace(player) {
+  if (player._graceHandle) { try { clearTimeout(player._graceHandle) } catch {} }
+  player._graceHandle = null
+}
+
+// Move a player to a new socket id, keeping Map insertion order (drawer lookups rely on it)
+export function rebindPlayer(room, oldId, newId) {
+  const player = room.players.get(oldId)
+  if (!player || oldId === newId) return player || null
+  const entries = Array.from(room.players.entries())
+  room.players.clear()
+  for (const [sid, p] of entries) {
+    if (sid === oldId) room.players.set(newId, p)
+    else room.players.set(sid, p)
+  }
+  player.id = newId
+  if (Array.isArray(room.playerOrder)) {
+    room.playerOrder = room.playerOrder.map(id => (id === oldId ? newId : id))
+  }
+  if (Array.isArray(room.teamCursor)) {
+    room.teamCursor = room.teamCursor.map(id => (id === oldId ? newId : id))
+  }
+  if (room.hostId === oldId) room.hostId = newId
+  if (room.turnDrawerId === oldId) room.turnDrawerId = newId
+  moveKickVotes(room, oldId, newId)
+  clearGrace(player)
+  player.connected = true
+  player.disconnectedAt = null
+  return player
+}
@@ -0,0 +1,110 @@
+import { hasWordPack } from './wordpacks.js'
+import { SCORING_STRATEGIES, DEFAULT_SCORING } from './scoring.js'
+
+// Per-room settings the host can change while the room is waiting
+export const MAX_PLAYERS_CAP = Number(process.env.MAX_PLAYERS || 12)
+
+// Turn length shrinks in later rounds; rounds past the list reuse the last multiplier
+export const ROUND_TIME_MULTIPLIERS = [1.0, 0.85, 0.7]
+
+const LIMITS = {
+  maxRounds: { min: 1, max: 10 },
+  roundTime: { min: 30, max: 240 },
+  wordChoices: { min: 1, max: 5 },
+  maxPlayers: { min: 2, max: MAX_PLAYERS_CAP },
+  hints: { min: 0, max: 10 },
+  teamCount: { min: 2, max: 4 },
+}
+
+export const WORD_MODES = ['default', 'custom', 'mixed']
+
+// In team mode only the drawer's teammates score, unless `steal` lets an opponent take the word
+export const TEAM_GUESS_RULES = ['teammates', 'steal']
+
+export function defaultSettings() {
+  return {
+    maxRounds: 3,
+    roundTime: 75,
+    wordChoices: 3,
+    maxPlayers: MAX_PLAYERS_CAP,
+    hints: 4, // letters revealed over a turn
+    roundTimeDecay: true,
+    wordMode: 'default', // default pool, custom list only, or a mix of both
+    customRatio: 0.5, // share of choices drawn from the custom list in mixed mode
+    wordPacks: [], // bundled pack ids; empty means the server's default packs
+    scoring: DEFAULT_SCORING,
+    isPublic: false, // listed in the room browser and used by quick play
+    teamMode: false,
+    teamCount: 2,
+    teamGuessRule: 'teammates',
+  }
+}
+
+export function getSettings(room) {
+  return { ...defaultSettings(), ...(room?.settings || {}) }
+}
+
+// Validate a partial update against the current settings; unknown keys are ignored
+export function validateSettings(input, current = defaultSettings()) {
+  const errors = []
+  const next = { ...current }
+  if (!input || typeof input !== 'object') return { ok: false, errors: ['settings must be an object'] }
+  for (const [key, { min, max }] of Object.entries(LIMITS)) {
+    if (input[key] === undefined) continue
+    // No coercion: true/false or numeric strings would otherwise pass as numbers
+    const v = input[key]
+    if (typeof v !== 'number' || !Number.isInteger(v) || v < min || v > max) {
+      errors.push(`${key} must be an integer between ${min} and ${max}`)
+      continue
+    }
+    next[key] = v
+  }
+  if (input.roundTimeDecay !== undefined) {
+    if (typeof input.roundTimeDecay !== 'boolean') errors.push('roundTimeDecay must be a boolean')
+    else next.roundTimeDecay = input.roundTimeDecay
+  }
+  if (input.isPublic !== undefined) {
+    if (typeof input.isPublic !== 'boolean') errors.push('isPublic must be a boolean')
+    else next.isPublic = input.isPublic
+  }
+  if (input.teamMode !== undefined) {
+    if (typeof input.teamMode !== 'boolean') errors.push('teamMode must be a boolean')
+    else next.teamMode = input.teamMode
+  }
+  if (input.teamGuessRule !== undefined) {
+    if (!TEAM_GUESS_RULES.includes(input.teamGuessRule)) errors.push(`teamGuessRule must be one of ${TEAM_GUESS_RULES.join(', ')}`)
+    else next.teamGuessRule = input.teamGuessRule
+  }
+  if (input.wordMode !== undefined) {
+    if (!WORD_MODES.includes(input.wordMode)) errors.push(`wordMode must be one of ${WORD_MODES.join(', ')}`)
+    else next.wordMode = input.wordMode
+  }
+  if (input.customRatio !== undefined) {
+    const r = input.customRatio
+    if (typeof r !== 'number' || !Number.isFinite(r) || r < 0 || r > 1) errors.push('customRatio must be a number between 0 and 1')
+    else next.customRatio = r
+  }
+  if (input.wordPacks !== undefined) {
+    const ids = Array.isArray(input.wordPacks) ? [...new Set(input.wordPacks.map(String))] : null
+    if (!ids || ids.length > 10) errors.push('wordPacks must be an array of at most 10 pack ids')
+    else {
+      const unknown = ids.filter(id => !hasWordPack(id))
+      if (unknown.length) errors.push(`unknown word packs: ${unknown.join(', ')}`)
+      else next.wordPacks = ids
+    }
+  }
+  if (input.scoring !== undefined) {
+    const ids = Object.keys(SCORING_STRATEGIES)
+    if (!ids.includes(input.scoring)) errors.push(`scoring must be one of ${ids.join(', ')}`)
+    else next.scoring = input.scoring
+  }
+  if (errors.length) return { ok: false, errors }
+  return { ok: true, settings: next }
+}
+
+export function turnTimeFor(settings, round) {
+  const base = Number(settings?.roundTime || 75)
+  if (settings && settings.roundTimeDecay === false) return Math.max(20, Math.round(base))
+  const idx = Math.max(0, Math.min(ROUND_TIME_MULTIPLIERS.length - 1, (round || 1) - 1))
+  return Math.max(20, Math.round(base * ROUND_TIME_MULTIPLIERS[idx]))
+}
@@ -0,0 +1,47 @@
+// Room <-> JSON for the room store: Maps and Sets are tagged, timers and other process-local handles dropped
+const TRANSIENT_KEYS = new Set(['_tickHandle', '_hintHandle', '_intermissionHandle', '_graceHandle', '_historyQueue', '_listingKey', '_saveHandle', '_resumeHandle', '_snapshotPhase', '_drawQueue', '_drawFlushHandle', '_legacyCanvas'])
+export const SNAPSHOT_VERSION = 1
+
+function replacer(key, value) {
+  if (TRANSIENT_KEYS.has(key)) return undefined
+  if (value instanceof Map) return { $map: Array.from(value.entries()) }
+  if (value instanceof Set) return { $set: Array.from(value) }
+  if (value && typeof value === 'object' && value.constructor?.name === 'Timeout') return undefined
+  return value
+}
+
+function reviver(_key, value) {
+  if (value && typeof value === 'object' && !Array.isArray(value)) {
+    if (Array.isArray(value.$map)) return new Map(value.$map)
+    if (Array.isArray(value.$set)) return new Set(value.$set)
+  }
+  return value
+}
+
+export function serializeRoom(room) {
+  return JSON.stringify({ v: SNAPSHOT_VERSION, savedAt: Date.now(), room }, replacer)
+}
+
+// Snapshot that outlives its sockets (process restarts): player socket ids become seat ids
+// wherever they appear, spectators and pending kick votes are dropped
+export function serializeDetachedRoom(room) {
+  const seats = new Map()
+  for (const sid of room.players.keys()) seats.set(sid, `seat-${seats.size + 1}`)
+  return JSON.stringify({ v: SNAPSHOT_VERSION, savedAt: Date.now(), room }, (key, value) => {
+    if (key === 'spectators' || key === 'kickVotes') return undefined
+    if (typeof value === 'string' && seats.has(value)) return seats.get(value)
+    return replacer(key, value)
+  })
+}
+
+// Returns the room (with savedAt) or null for unreadable snapshots
+export function restoreRoom(json) {
+  try {
+    const data = JSON.parse(json, reviver)
+    if (!data || data.v !== SNAPSHOT_VERSION || !data.room?.code) return null
+    const room = data.room
+    if (!(room.players instanceof Map)) room.players = new Map()
+    room.savedAt = data.savedAt
+    return room
+  } catch { return null }
+}
@@ -0,0 +1,41 @@
+// Spectators watch a room without a seat: never in playerOrder, never guessing
+export function addSpectator(room, { id, name, tgId, avatarUrl, wantsToPlay = false }) {
+  if (!room.spectators) room.spectators = new Map()
+  const prev = room.spectators.get(id)
+  room.spectators.set(id, {
+    id,
+    name: name?.slice(0, 24) || prev?.name || 'Player',
+    tgId: tgId || prev?.tgId || null,
+    avatarUrl: avatarUrl ? String(avatarUrl) : prev?.avatarUrl || null,
+    wantsToPlay: !!wantsToPlay,
+  })
+  return room.spectators.get(id)
+}
+
+export function removeSpectator(room, id) {
+  if (!room.spectators) return null
+  const s = room.spectators.get(id) || null
+  room.spectators.delete(id)
+  return s
+}
+
+export function listSpectators(room) {
+  return Array.from(room.spectators?.values() || []).map(s => ({
+    id: s.id,
+    name: s.name,
+    tgId: s.tgId || null,
+    avatarUrl: s.avatarUrl || null,
+    wantsToPlay: !!s.wantsToPlay,
+  }))
+}
+
+// Spectators queued to play, in arrival order, up to the free seats
+export function takeQueuedSpectators(room, freeSeats) {
+  const out = []
+  for (const s of room.spectators?.values() || []) {
+    if (out.length >= freeSeats) break
+    if (s.wantsToPlay) out.push(s)
+  }
+  out.forEach(s => room.spectators.delete(s.id))
+  return out
+}
@@ -0,0 +1,49 @@
+import { compactText } from './guess.js'
+
+// Player statistics derived from the counters kept on each user document
+export const FAVORITE_WORDS_LIMIT = 5
+
+// Mongo field names can't contain dots or start with $, compactText leaves letters and digits only
+export function wordStatKey(word) {
+  return compactText(word).slice(0, 32) || null
+}
+
+export function summarizeStats(stats = {}) {
+  const num = v => Number(v) || 0
+  const gamesPlayed = num(stats.gamesPlayed)
+  const wordsGuessed = num(stats.wordsGuessed)
+  const favoriteWords = Object.entries(stats.wordCounts || {})
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .slice(0, FAVORITE_WORDS_LIMIT)
+    .map(([word, count]) => ({ word, count }))
+  return {
+    gamesPlayed,
+    totalScore: num(stats.totalScore),
+    wins: num(stats.wins),
+    winRate: gamesPlayed ? Number((num(stats.wins) / gamesPlayed).toFixed(3)) : 0,
+    podiums: num(stats.podiums),
+    wordsGuessed,
+    avgGuessTime: wordsGuessed ? Number((num(stats.guessTimeTotal) / wordsGuessed).toFixed(1)) : null,
+    bestGuessTime: stats.bestGuessTime ?? null,
+    turnsDrawn: num(stats.turnsDrawn),
+    drawingsGuessed: num(stats.drawingsGuessed),
+    currentWinStreak: num(stats.currentWinStreak),
+    longestWinStreak: num(stats.longestWinStreak),
+    favoriteWords,
+  }
+}
+
+// Head-to-head over completed games both players finished: who placed higher
+export function headToHead(games, keyA, keyB) {
+  const result = { games: 0, aAhead: 0, bAhead: 0, ties: 0 }
+  for (const g of games) {
+    const a = (g.standings || []).find(s => s.key === keyA)
+    const b = (g.standings || []).find(s => s.key === keyB)
+    if (!a || !b) continue
+    result.games += 1
+    if (a.rank < b.rank) result.aAhead += 1
+    else if (b.rank < a.rank) result.bAhead += 1
+    else result.ties += 1
+  }
+  return result
+}
@@ -0,0 +1,83 @@
+// Compact binary point runs for `draw_batch` (all little-endian):
+//   u8 version, then per run:
+//   u8 flags (1 = starts a stroke, 2 = eraser), u8 size, u8 opacity (0-255), u8 r, u8 g, u8 b, u16 count,
+//   i16 x0, i16 y0, then count-1 pairs of i16 dx, dy from the previous point
+export const CODEC_VERSION = 1
+export const MAX_ENCODED_BYTES = 16384
+const RUN_HEADER_BYTES = 8
+const FLAG_BEGIN = 1
+const FLAG_ERASER = 2
+
+function toBuffer(data) {
+  if (Buffer.isBuffer(data)) return data
+  if (ArrayBuffer.isView(data)) return Buffer.from(data.buffer, data.byteOffset, data.byteLength)
+  if (data instanceof ArrayBuffer) return Buffer.from(data)
+  return null
+}
+
+function hexToRgb(color) {
+  let hex = String(color || '').replace(/^#/, '')
+  if (hex.length === 3 || hex.length === 4) hex = hex.slice(0, 3).split('').map(c => c + c).join('')
+  const n = /^[0-9A-Fa-f]{6}/.test(hex) ? parseInt(hex.slice(0, 6), 16) : 0x111111
+  return [(n >> 16) & 255, (n >> 8) & 255, n & 255]
+}
+
+// Runs are `points` strokes: { points: [x0, y0, x1, y1, ...], begin, tool, size, color, opacity }
+export function encodePointRuns(runs) {
+  const sizes = runs.map(r => RUN_HEADER_BYTES + r.points.length * 2)
+  const buf = Buffer.alloc(1 + sizes.reduce((a, b) => a + b, 0))
+  let o = buf.writeUInt8(CODEC_VERSION, 0)
+  for (const run of runs) {
+    const count = run.points.length / 2
+    o = buf.writeUInt8((run.begin ? FLAG_BEGIN : 0) | (run.tool === 'eraser' ? FLAG_ERASER : 0), o)
+    o = buf.writeUInt8(Math.max(1, Math.min(255, Math.round(run.size || 4))), o)
+    o = buf.writeUInt8(Math.round(255 * Math.max(0, Math.min(1, run.opacity ?? 1))), o)
+    for (const c of hexToRgb(run.color)) o = buf.writeUInt8(c, o)
+    o = buf.writeUInt16LE(count, o)
+    let px = 0
+    let py = 0
+    for (let i = 0; i < count; i++) {
+      const x = Math.round(run.points[2 * i])
+      const y = Math.round(run.points[2 * i + 1])
+      o = buf.writeInt16LE(x - px, o)
+      o = buf.writeInt16LE(y - py, o)
+      px = x
+      py = y
+    }
+  }
+  return buf
+}
+
+// Runs in the same shape as above, or null for anything malformed; bounds are left to normalizeStroke
+export function decodePointRuns(data, { maxPoints = 512 } = {}) {
+  const buf = toBuffer(data)
+  if (!buf || buf.length < 1 || buf.length > MAX_ENCODED_BYTES || buf.readUInt8(0) !== CODEC_VERSION) return null
+  const runs = []
+  let total = 0
+  let o = 1
+  while (o < buf.length) {
+    if (o + RUN_HEADER_BYTES > buf.length) return null
+    const flags = buf.readUInt8(o)
+    const size = buf.readUInt8(o + 1)
+    const opacity = buf.readUInt8(o + 2) / 255
+    const color = '#' + [buf[o + 3], buf[o + 4], buf[o + 5]].map(c => c.toString(16).padStart(2, '0')).join('')
+    const count = buf.readUInt16LE(o + 6)
+    o += RUN_HEADER_BYTES
+    total += count
+    if (count < 1 || total > maxPoints || o + count * 4 > buf.length) return null
+    const points = new Array(count * 2)
+    let x = 0
+    let y = 0
+    for (let i = 0; i < count; i++, o += 4) {
+      x += buf.readInt16LE(o)
+      y += buf.readInt16LE(o + 2)
+      points[2 * i] = x
+      points[2 * i + 1] = y
+    }
+    const run = { type: 'points', points, size, color, opacity }
+    if (flags & FLAG_BEGIN) run.begin = true
+    if (flags & FLAG_ERASER) run.tool = 'eraser'
+    runs.push(run)
+  }
+  return runs
+}
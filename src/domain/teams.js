@@ -0,0 +1,150 @@
+import { getSettings } from './settings.js'
+
+// Team mode: players carry a `team` index, drawers alternate between teams and, within a team,
+// go round its members in playerOrder. Scores stay per player; team totals are summed on demand
+export const TEAM_NAMES = ['Red', 'Blue', 'Green', 'Yellow']
+
+export function teamsEnabled(room) {
+  return getSettings(room).teamMode === true
+}
+
+export function teamCountOf(room) {
+  return Math.max(2, Math.min(TEAM_NAMES.length, Number(getSettings(room).teamCount) || 2))
+}
+
+export function teamName(team) {
+  return TEAM_NAMES[team] || `Team ${team + 1}`
+}
+
+function validTeam(room, team) {
+  return Number.isInteger(team) && team >= 0 && team < teamCountOf(room)
+}
+
+function teamSizes(room) {
+  const sizes = new Array(teamCountOf(room)).fill(0)
+  for (const p of room.players.values()) {
+    if (validTeam(room, p.team)) sizes[p.team] += 1
+  }
+  return sizes
+}
+
+// Lowest index wins ties so new players fill teams in a stable order
+export function smallestTeam(room) {
+  const sizes = teamSizes(room)
+  return sizes.indexOf(Math.min(...sizes))
+}
+
+// Put players without a (valid) team on the smallest one; `reset` reshuffles everyone
+export function balanceTeams(room, { reset = false } = {}) {
+  const players = Array.from(room.players.values())
+  if (reset) {
+    for (let i = players.length - 1; i > 0; i--) {
+      const j = Math.floor(Math.random() * (i + 1))
+      ;[players[i], players[j]] = [players[j], players[i]]
+    }
+    const count = teamCountOf(room)
+    players.forEach((p, i) => { p.team = i % count })
+    return
+  }
+  for (const p of players) {
+    if (!validTeam(room, p.team)) p.team = smallestTeam(room)
+  }
+}
+
+export function nonEmptyTeamCount(room) {
+  return teamSizes(room).filter(n => n > 0).length
+}
+
+// Clear per-game team state: banked scores and where each team's rotation stands
+export function resetTeamRotation(room) {
+  room.teamBank = new Array(teamCountOf(room)).fill(0)
+  room.teamCursor = new Array(teamCountOf(room)).fill(null)
+  room.lastDrawerTeam = -1
+  room.teamTurnInRound = 0
+}
+
+// Index in `order` of the next drawer: the next team with someone online after the one that just drew,
+// then that team's next online member after its last drawer. -1 when nobody qualifies
+export function nextTeamDrawerIndex(room, order) {
+  const count = teamCountOf(room)
+  const last = Number.isInteger(room.lastDrawerTeam) ? room.lastDrawerTeam : -1
+  const cursor = Array.isArray(room.teamCursor) ? room.teamCursor : []
+  for (let step = 1; step <= count; step++) {
+    const team = (((last + step) % count) + count) % count
+    const roster = order.filter(id => room.players.get(id)?.team === team)
+    if (!roster.length) continue
+    const start = roster.indexOf(cursor[team]) + 1
+    for (let k = 0; k < roster.length; k++) {
+      const id = roster[(start + k) % roster.length]
+      if (room.players.get(id)?.connected !== false) return order.indexOf(id)
+    }
+  }
+  return -1
+}
+
+// Remember the current drawer as their team's place in the rotation
+export function noteTeamDrawer(room, drawerId) {
+  const drawer = room.players.get(drawerId)
+  if (!drawer || !validTeam(room, drawer.team)) return
+  if (!Array.isArray(room.teamCursor)) room.teamCursor = new Array(teamCountOf(room)).fill(null)
+  room.teamCursor[drawer.team] = drawerId
+  room.lastDrawerTeam = drawer.team
+}
+
+// Count a finished turn; true when the round is over. A round gives every team as many turns
+// as the largest team has members, so everyone draws at least once
+export function countTeamTurn(room) {
+  const sizes = teamSizes(room).filter(n => n > 0)
+  const length = sizes.length * Math.max(1, ...sizes)
+  room.teamTurnInRound = (Number(room.teamTurnInRound) || 0) + 1
+  if (room.teamTurnInRound < length) return false
+  room.teamTurnInRound = 0
+  return true
+}
+
+// A leaving player must not strand their team's cursor: step it back to the teammate before them
+export function dropFromTeamRotation(room, playerId) {
+  const player = room.players.get(playerId)
+  if (!player || !Array.isArray(room.teamCursor) || room.teamCursor[player.team] !== playerId) return
+  const roster = (Array.isArray(room.playerOrder) ? room.playerOrder : [])
+    .filter(id => room.players.get(id)?.team === player.team)
+  const idx = roster.indexOf(playerId)
+  const prev = roster.length > 1 ? roster[(idx - 1 + roster.length) % roster.length] : null
+  room.teamCursor[player.team] = prev
+}
+
+// Keep a leaver's points in their team's total
+export function bankTeamScore(room, player) {
+  if (!player || !validTeam(room, player.team) || !player.score) return
+  if (!Array.isArray(room.teamBank)) room.teamBank = new Array(teamCountOf(room)).fill(0)
+  room.teamBank[player.team] = (Number(room.teamBank[player.team]) || 0) + player.score
+}
+
+// Who can score this turn: the drawer's teammates, or everyone if the drawer has none left
+export function turnGuessers(room, drawerId) {
+  const others = Array.from(room.players.values()).filter(p => p.id !== drawerId)
+  const drawer = room.players.get(drawerId)
+  if (!teamsEnabled(room) || !drawer) return others
+  const mates = others.filter(p => p.team === drawer.team)
+  return mates.length ? mates : others
+}
+
+// 'guesser' scores normally; with the steal rule an opponent is a 'stealer', otherwise 'blocked'
+export function guessRole(room, player, drawerId) {
+  if (turnGuessers(room, drawerId).includes(player)) return 'guesser'
+  return getSettings(room).teamGuessRule === 'steal' ? 'stealer' : 'blocked'
+}
+
+export function teamTotals(room) {
+  if (!teamsEnabled(room)) return null
+  const bank = Array.isArray(room.teamBank) ? room.teamBank : []
+  return Array.from({ length: teamCountOf(room) }, (_, team) => {
+    const members = Array.from(room.players.values()).filter(p => p.team === team)
+    return {
+      id: team,
+      name: teamName(team),
+      score: (Number(bank[team]) || 0) + members.reduce((sum, p) => sum + (p.score || 0), 0),
+      players: members.map(p => p.id),
+    }
+  })
+}
@@ -0,0 +1,120 @@
+import fs from 'fs'
+import path from 'path'
+import { fileURLToPath } from 'url'
+
+// Bundled, versioned word packs loaded from disk (one JSON file per pack)
+const DEFAULT_DIR = fileURLToPath(new URL('../wordpacks/', import.meta.url))
+export const DIFFICULTIES = ['easy', 'medium', 'hard']
+
+let packs = null
+
+function validatePack(raw, file) {
+  const errors = []
+  if (!raw || typeof raw !== 'object') return { ok: false, errors: [`${file}: not an object`] }
+  if (typeof raw.id !== 'string' || !/^[a-z0-9-]{2,40}$/.test(raw.id)) errors.push('id must be lowercase letters, digits or dashes')
+  if (!Number.isInteger(raw.version) || raw.version < 1) errors.push('version must be a positive integer')
+  if (typeof raw.language !== 'string' || !/^[a-z]{2}$/.test(raw.language)) errors.push('language must be a 2-letter code')
+  if (typeof raw.category !== 'string' || !raw.category) errors.push('category is required')
+  if (!DIFFICULTIES.includes(raw.difficulty)) errors.push(`difficulty must be one of ${DIFFICULTIES.join(', ')}`)
+  if (!Array.isArray(raw.words) || raw.words.length === 0) errors.push('words must be a non-empty array')
+  if (errors.length) return { ok: false, errors: errors.map(e => `${file}: ${e}`) }
+  // Entries are plain strings (pack difficulty) or { word, difficulty, accept } objects
+  const seen = new Set()
+  const words = []
+  for (const entry of raw.words) {
+    const text = typeof entry === 'string' ? entry : entry?.word
+    if (typeof text !== 'string') continue
+    const word = text.normalize('NFC').trim().replace(/\s+/g, ' ').toLowerCase()
+    if (!word || seen.has(word)) continue
+    seen.add(word)
+    const difficulty = DIFFICULTIES.includes(entry?.difficulty) ? entry.difficulty : raw.difficulty
+    const accept = Array.isArray(entry?.accept)
+      ? entry.accept.filter(a => typeof a === 'string' && a.trim()).map(a => a.normalize('NFC').trim().toLowerCase())
+      : []
+    words.push(accept.length ? { word, difficulty, accept } : { word, difficulty })
+  }
+  return {
+    ok: true,
+    pack: {
+      id: raw.id,
+      version: raw.version,
+      name: typeof raw.name === 'string' ? raw.name : raw.id,
+      language: raw.language,
+      category: raw.category,
+      difficulty: raw.difficulty,
+      words,
+    },
+  }
+}
+
+// Read every *.json pack in dir; when two files share an id the higher version wins
+export function loadWordPacks(dir = process.env.WORDPACKS_DIR || DEFAULT_DIR) {
+  const next = new Map()
+  let files = []
+  try { files = fs.readdirSync(dir).filter(f => f.endsWith('.json')) }
+  catch (e) { console.warn(`Word packs not loaded from ${dir}:`, e?.message || e) }
+  for (const file of files) {
+    try {
+      const raw = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'))
+      const res = validatePack(raw, file)
+      if (!res.ok) { console.warn('Skipping word pack:', res.errors.join('; ')); continue }
+      const prev = next.get(res.pack.id)
+      if (!prev || prev.version < res.pack.version) next.set(res.pack.id, res.pack)
+    } catch (e) {
+      console.warn(`Skipping word pack ${file}:`, e?.message || e)
+    }
+  }
+  packs = next
+  return packs
+}
+
+function ensureLoaded() {
+  if (!packs) loadWordPacks()
+  return packs
+}
+
+export function hasWordPack(id) {
+  return ensureLoaded().has(String(id))
+}
+
+export function listWordPacks({ language, category } = {}) {
+  return Array.from(ensureLoaded().values())
+    .filter(p => !language || p.language === language)
+    .filter(p => !category || p.category === category)
+    .map(({ words, ...meta }) => ({
+      ...meta,
+      wordCount: words.length,
+      tiers: Object.fromEntries(DIFFICULTIES.map(d => [d, words.filter(w => w.difficulty === d).length])),
+    }))
+}
+
+// Packs used when a room has not picked any: DEFAULT_WORDPACKS csv, else every English pack
+export function defaultPackIds() {
+  const fromEnv = String(process.env.DEFAULT_WORDPACKS || '')
+    .split(',').map(s => s.trim()).filter(id => id && hasWordPack(id))
+  if (fromEnv.length) return fromEnv
+  return Array.from(ensureLoaded().values()).filter(p => p.language === 'en').map(p => p.id)
+}
+
+// { word, difficulty } entries from the given packs; the first pack listing a word decides its tier
+export function getPackEntries(ids) {
+  const all = ensureLoaded()
+  const selected = Array.isArray(ids) && ids.length ? ids : defaultPackIds()
+  const out = new Map()
+  for (const id of selected) {
+    const pack = all.get(String(id))
+    if (!pack) continue
+    for (const entry of pack.words) if (!out.has(entry.word)) out.set(entry.word, entry)
+  }
+  return Array.from(out.values())
+}
+
+export function getPackWords(ids) {
+  return getPackEntries(ids).map(e => e.word)
+}
+
+export function packLanguages(ids) {
+  const all = ensureLoaded()
+  const selected = Array.isArray(ids) && ids.length ? ids : defaultPackIds()
+  return [...new Set(selected.map(id => all.get(String(id))?.language).filter(Boolean))]
+}
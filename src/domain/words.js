@@ -1,99 +1,60 @@
-let cachedWords = [
+import { getPackEntries, DIFFICULTIES } from './wordpacks.js';
+import { compactText } from './guess.js';
+
+// Used only when no word packs could be loaded from disk
+const FALLBACK_WORDS = [
   'cat', 'dog', 'house', 'car', 'tree', 'phone', 'pizza', 'guitar', 'rocket', 'flower',
   'computer', 'book', 'chair', 'bottle', 'mountain', 'river', 'sun', 'moon', 'star', 'cloud',
   'elephant', 'butterfly', 'airplane', 'bicycle', 'sandwich', 'umbrella', 'camera', 'lighthouse',
   'dragon', 'castle', 'rainbow', 'pencil', 'hammer', 'crown', 'bridge', 'robot', 'diamond',
   'whale', 'octopus', 'mushroom', 'volcano', 'treasure', 'feather', 'snowman', 'windmill',
-  'telescope', 'compass', 'trophy', 'violin', 'butterfly', 'sailboat', 'pyramid', 'jungle'
+  'telescope', 'compass', 'trophy', 'violin', 'sailboat', 'pyramid', 'jungle'
 ];
 
-let isLoadingWords = false;
-let lastFetchTime = 0;
-const FETCH_COOLDOWN = 300000; // 5 minutes
-
-const API_ENDPOINTS = [
-  {
-    name: 'random-word-api',
-    url: 'https://random-word-api.vercel.app/api?words=20',
-    transform: (data) => Array.isArray(data) ? data.filter(word => word && word.length >= 3 && word.length <= 12) : []
-  },
-  {
-    name: 'api-ninjas',
-    url: 'https://api.api-ninjas.com/v1/randomword',
-    transform: (data) => data?.word && data.word.length >= 3 && data.word.length <= 12 ? [data.word] : []
-  },
-  {
-    name: 'random-word-herokuapp',
-    url: 'https://random-word-api.herokuapp.com/word',
-    transform: (data) => Array.isArray(data) && data[0] && data[0].length >= 3 && data[0].length <= 12 ? [data[0]] : []
-  }
-];
+// Optional extra sources (e.g. remote APIs); bundled packs are always the base pool
+const sources = [];
 
-async function fetchWordsFromAPI(endpoint) {
-  try {
-    const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), 5000);
-    
-    const response = await fetch(endpoint.url, {
-      signal: controller.signal,
-      headers: endpoint.name === 'api-ninjas' ? { 'X-Api-Key': process.env.API_NINJAS_KEY || '' } : {}
-    });
-    
-    clearTimeout(timeoutId);
-    
-    if (!response.ok) throw new Error(`HTTP ${response.status}`);
-    
-    const data = await response.json();
-    return endpoint.transform(data);
-  } catch (error) {
-    console.warn(`Failed to fetch from ${endpoint.name}:`, error.message);
-    return [];
-  }
+export function registerWordSource(source) {
+  if (source && typeof source.getWords === 'function') sources.push(source);
 }
 
-async function refreshWordCache() {
-  if (isLoadingWords || Date.now() - lastFetchTime < FETCH_COOLDOWN) {
-    return cachedWords;
-  }
-  
-  isLoadingWords = true;
-  lastFetchTime = Date.now();
-  
-  try {
-    const results = await Promise.allSettled(
-      API_ENDPOINTS.map(endpoint => fetchWordsFromAPI(endpoint))
-    );
-    
-    const newWords = results
-      .filter(result => result.status === 'fulfilled')
-      .flatMap(result => result.value)
-      .filter(word => 
-        typeof word === 'string' && 
-        word.length >= 3 && 
-        word.length <= 12 &&
-        /^[a-zA-Z]+$/.test(word)
-      )
-      .map(word => word.toLowerCase());
-    
-    if (newWords.length > 0) {
-      const uniqueWords = [...new Set([...cachedWords, ...newWords])];
-      cachedWords = uniqueWords.slice(0, 500); // Keep cache manageable
-      console.log(`Word cache updated: ${cachedWords.length} total words`);
-    }
-  } catch (error) {
-    console.warn('Error refreshing word cache:', error.message);
-  } finally {
-    isLoadingWords = false;
-  }
-  
-  return cachedWords;
+// Untagged words (custom lists, remote sources) get a tier guessed from length and word count
+export function estimateDifficulty(word) {
+  const w = String(word || '').trim();
+  if (w.includes(' ') || w.length >= 10) return 'hard';
+  if (w.length <= 5) return 'easy';
+  return 'medium';
 }
 
-export async function getWords() {
-  return await refreshWordCache();
+function toEntries(words) {
+  return (Array.isArray(words) ? words : [])
+    .map(w => (typeof w === 'string' ? { word: w } : w))
+    .filter(e => e && typeof e.word === 'string')
+    .map(e => ({
+      ...e,
+      difficulty: DIFFICULTIES.includes(e.difficulty) ? e.difficulty : estimateDifficulty(e.word),
+    }));
 }
 
-export const WORDS = cachedWords;
+export async function getWordEntries({ packs } = {}) {
+  const base = getPackEntries(packs);
+  const pool = base.length ? base : toEntries(FALLBACK_WORDS);
+  // Explicit pack picks stay exact; extra sources only extend the default pool
+  if ((Array.isArray(packs) && packs.length) || !sources.length) return pool;
+  const results = await Promise.allSettled(sources.map(src => src.getWords()));
+  const known = new Set(pool.map(e => e.word));
+  const extra = results
+    .filter(r => r.status === 'fulfilled' && Array.isArray(r.value))
+    .flatMap(r => r.value)
+    .filter(w => typeof w === 'string' && !known.has(w));
+  return [...pool, ...toEntries([...new Set(extra)])];
+}
+
+export async function getWords(opts) {
+  return (await getWordEntries(opts)).map(e => e.word);
+}
+
+export const WORDS = FALLBACK_WORDS;
 
 export function randomChoices(arr, n) {
   const copy = [...arr];
@@ -104,14 +65,91 @@ export function randomChoices(arr, n) {
   return out;
 }
 
-export async function getRandomChoices(n = 3) {
-  const words = await getWords();
-  return randomChoices(words, n);
+// Pick a free entry of the wanted tier, falling back to any tier
+function pickEntry(pool, tier, taken) {
+  const free = pool.filter(e => !taken.has(e.word));
+  const sameTier = free.filter(e => e.difficulty === tier);
+  const from = sameTier.length ? sameTier : free;
+  return from.length ? from[Math.floor(Math.random() * from.length)] : null;
+}
+
+// Returns [{ word, difficulty }] covering easy, medium and hard in turn, ordered easiest first
+export async function getRandomChoices(n = 3, { customWords = [], mode = 'default', customRatio = 0.5, packs = [] } = {}) {
+  const custom = toEntries(customWords);
+  const customOnly = mode === 'custom' && custom.length > 0;
+  const mixed = mode === 'mixed' && custom.length > 0;
+  const base = customOnly ? [] : await getWordEntries({ packs });
+  const tiers = randomChoices(DIFFICULTIES, DIFFICULTIES.length);
+  const taken = new Set();
+  const out = [];
+  for (let i = 0; i < n; i++) {
+    const tier = tiers[i % tiers.length];
+    // In mixed mode each slot comes from the custom list with probability customRatio
+    const primary = customOnly || (mixed && Math.random() < customRatio) ? custom : base;
+    const secondary = mixed ? (primary === custom ? base : custom) : [];
+    const entry = pickEntry(primary, tier, taken) || pickEntry(secondary, tier, taken);
+    if (!entry) break;
+    taken.add(entry.word);
+    out.push({ word: entry.word, difficulty: entry.difficulty, accept: entry.accept || [] });
+  }
+  return out.sort((a, b) => DIFFICULTIES.indexOf(a.difficulty) - DIFFICULTIES.indexOf(b.difficulty));
+}
+
+export const CUSTOM_WORDS_MAX = 500;
+export const CUSTOM_WORD_MIN_LEN = 2;
+export const CUSTOM_WORD_MAX_LEN = 32;
+// Letters in any script and digits, with single spaces, hyphens or apostrophes between them
+const CUSTOM_WORD_RE = /^[\p{L}\p{N}]+(?:[ '\-][\p{L}\p{N}]+)*$/u;
+
+function cleanCustomWord(text) {
+  const word = String(text).normalize('NFC').trim().replace(/\s+/g, ' ').toLowerCase();
+  if (!word) return { word };
+  if (word.length < CUSTOM_WORD_MIN_LEN || word.length > CUSTOM_WORD_MAX_LEN) {
+    return { word, error: `"${word.slice(0, 40)}" must be ${CUSTOM_WORD_MIN_LEN}-${CUSTOM_WORD_MAX_LEN} characters` };
+  }
+  if (!CUSTOM_WORD_RE.test(word)) {
+    return { word, error: `"${word}" may only contain letters, digits, spaces, hyphens and apostrophes` };
+  }
+  return { word };
+}
+
+// Validate a host-supplied word list (array or comma/newline separated string).
+// "soda|pop|soft drink" adds "soda" with "pop" and "soft drink" as accepted synonyms.
+export function validateCustomWords(input) {
+  const list = Array.isArray(input)
+    ? input
+    : typeof input === 'string' ? input.split(/[\n,]/) : null;
+  if (!list) return { ok: false, errors: ['words must be an array or a comma/newline separated string'] };
+  const errors = [];
+  const seen = new Set();
+  const words = [];
+  let duplicates = 0;
+  for (const item of list) {
+    if (typeof item !== 'string') { errors.push('every word must be a string'); continue; }
+    const [head, ...synonyms] = item.split('|').map(cleanCustomWord);
+    if (!head.word) continue;
+    const bad = [head, ...synonyms].find(part => part.error);
+    if (bad) { errors.push(bad.error); continue; }
+    // "ice-cream" and "ice cream" count as the same word
+    const key = compactText(head.word);
+    if (seen.has(key)) { duplicates++; continue; }
+    seen.add(key);
+    const accept = [...new Set(synonyms.map(p => p.word).filter(w => w && w !== head.word))];
+    words.push(accept.length ? { word: head.word, accept } : { word: head.word });
+  }
+  if (words.length > CUSTOM_WORDS_MAX) errors.push(`at most ${CUSTOM_WORDS_MAX} words are allowed`);
+  if (errors.length) return { ok: false, errors: errors.slice(0, 10) };
+  return { ok: true, words, duplicates };
+}
+
+// Only letters and digits are hidden; spaces and punctuation in phrases stay visible
+export function isMaskable(ch) {
+  return /[\p{L}\p{N}]/u.test(ch);
 }
 
 export function maskWord(word, revealed = new Set()) {
   return word
     .split('')
-    .map((ch, i) => (ch === ' ' ? ' ' : revealed.has(i) ? ch : '_'))
+    .map((ch, i) => (!isMaskable(ch) ? ch : revealed.has(i) ? ch : '_'))
     .join('');
 }
\ No newline at end of file
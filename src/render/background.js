@@ -0,0 +1,49 @@
+import { Worker } from 'worker_threads'
+
+// Finished turns are rendered on a worker thread, so replaying strokes and deflating the PNG
+// never blocks the event loop the live rooms run on. The worker is started on first use
+let worker = null
+let nextId = 0
+const jobs = new Map() // job id -> { resolve, reject }
+
+function failAll(err) {
+  for (const job of jobs.values()) job.reject(err)
+  jobs.clear()
+}
+
+function getWorker() {
+  if (worker) return worker
+  const w = new Worker(new URL('./worker.js', import.meta.url))
+  w.on('message', ({ id, result, error }) => {
+    const job = jobs.get(id)
+    if (!job) return
+    jobs.delete(id)
+    // An idle worker must not keep the process alive
+    if (!jobs.size) w.unref()
+    if (error) job.reject(new Error(error))
+    else job.resolve({ ...result, png: Buffer.from(result.png.buffer, result.png.byteOffset, result.png.byteLength) })
+  })
+  w.on('error', (err) => failAll(err))
+  w.on('exit', () => {
+    if (worker === w) worker = null
+    failAll(new Error('render worker exited'))
+  })
+  worker = w
+  return w
+}
+
+// Same result as renderDrawing, resolved once the worker is done
+export function renderInBackground(strokes, opts) {
+  return new Promise((resolve, reject) => {
+    const id = ++nextId
+    try {
+      const w = getWorker()
+      jobs.set(id, { resolve, reject })
+      w.ref()
+      w.postMessage({ id, strokes, opts })
+    } catch (e) {
+      jobs.delete(id)
+      reject(e)
+    }
+  })
+}
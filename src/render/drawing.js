@@ -0,0 +1,272 @@
+import { encodePng } from './png.js'
+
+// Replays a turn's validated stroke log (see domain/canvas.js) into a PNG and an SVG, in plain JS.
+// Coordinates are in the clients' logical canvas; anything outside it is clipped
+export const DRAWING_WIDTH = Number(process.env.DRAWING_WIDTH || 800)
+export const DRAWING_HEIGHT = Number(process.env.DRAWING_HEIGHT || 600)
+
+function parseColor(color) {
+  let hex = String(color || '').replace(/^#/, '')
+  if (hex.length === 3 || hex.length === 4) hex = hex.split('').map(c => c + c).join('')
+  if (hex.length !== 6 && hex.length !== 8) hex = '111111'
+  const n = (i) => parseInt(hex.slice(i, i + 2), 16)
+  return { rgb: [n(0), n(2), n(4)], alpha: hex.length === 8 ? n(6) / 255 : 1, hex: '#' + hex.slice(0, 6).toLowerCase() }
+}
+
+const round2 = (v) => Math.round(v * 100) / 100
+
+// Coverage for the stroke being drawn; composited once so overlapping segments don't darken
+function createLayer(w, h) {
+  return { mask: new Uint8Array(w * h), minX: w, minY: h, maxX: -1, maxY: -1 }
+}
+
+export const MAX_RENDER_PIXELS = 20_000_000
+
+// vector: false skips building the SVG, for callers that only need the raster (e.g. fill regions)
+export function createRenderer({ width = DRAWING_WIDTH, height = DRAWING_HEIGHT, maxPixels = MAX_RENDER_PIXELS, vector = true } = {}) {
+  const w = width
+  const h = height
+  const rgb = new Uint8Array(w * h * 3).fill(255)
+  const layer = createLayer(w, h)
+  const visited = new Uint8Array(w * h) // flood fill scratch, cleared after each fill
+  const svg = []
+  let pending = null // { key, color, opacity, d: [] }
+  let budget = maxPixels // pixels left to touch; a hostile stroke log can't stall the turn
+  let truncated = false
+
+  // Mark pixel centers in [left, right] on row y
+  function span(y, left, right) {
+    if (y < 0 || y >= h || !(right >= left)) return
+    const from = Math.max(0, Math.ceil(left - 0.5))
+    const to = Math.min(w - 1, Math.floor(right - 0.5))
+    if (to < from) return
+    budget -= to - from + 1
+    for (let x = from; x <= to; x++) layer.mask[y * w + x] = 1
+    if (from < layer.minX) layer.minX = from
+    if (to > layer.maxX) layer.maxX = to
+    if (y < layer.minY) layer.minY = y
+    if (y > layer.maxY) layer.maxY = y
+  }
+
+  // Pixels whose centers are within r of the segment: the shape is convex, so each row is one span,
+  // the widest of the two end caps and the band between them
+  function capsule(x1, y1, x2, y2, r) {
+    if (Math.max(x1, x2) + r < 0 || Math.min(x1, x2) - r > w) return
+    const len = Math.hypot(x2 - x1, y2 - y1)
+    const nx = len ? (-(y2 - y1) / len) * r : 0
+    const ny = len ? ((x2 - x1) / len) * r : 0
+    // Band corners as flat x, y pairs, walked as a closed quad
+    const band = len ? [x1 + nx, y1 + ny, x2 + nx, y2 + ny, x2 - nx, y2 - ny, x1 - nx, y1 - ny] : null
+    const y0 = Math.max(0, Math.floor(Math.min(y1, y2) - r))
+    const yN = Math.min(h - 1, Math.ceil(Math.max(y1, y2) + r))
+    budget -= yN - y0 + 1
+    for (let y = y0; y <= yN; y++) {
+      const yc = y + 0.5
+      let left = Infinity
+      let right = -Infinity
+      const d1 = yc - y1
+      if (d1 <= r && d1 >= -r) {
+        const half = Math.sqrt(r * r - d1 * d1)
+        if (x1 - half < left) left = x1 - half
+        if (x1 + half > right) right = x1 + half
+      }
+      const d2 = yc - y2
+      if (d2 <= r && d2 >= -r) {
+        const half = Math.sqrt(r * r - d2 * d2)
+        if (x2 - half < left) left = x2 - half
+        if (x2 + half > right) right = x2 + half
+      }
+      if (band) {
+        for (let i = 0; i < 8; i += 2) {
+          const ax = band[i]
+          const ay = band[i + 1]
+          const bx = band[(i + 2) % 8]
+          const by = band[(i + 3) % 8]
+          if ((yc < ay && yc < by) || (yc > ay && yc > by) || ay === by) continue
+          const x = ax + ((yc - ay) / (by - ay)) * (bx - ax)
+          if (x < left) left = x
+          if (x > right) right = x
+        }
+      }
+      span(y, left, right)
+    }
+  }
+
+  function filledEllipse(cx, cy, rx, ry) {
+    const y0 = Math.max(0, Math.floor(cy - ry))
+    const yN = Math.min(h - 1, Math.ceil(cy + ry))
+    for (let y = y0; y <= yN; y++) {
+      const t = (y + 0.5 - cy) / (ry || 0.5)
+      if (t * t > 1) continue
+      const half = rx * Math.sqrt(1 - t * t)
+      span(y, cx - half, cx + half)
+    }
+  }
+
+  function composite() {
+    if (!pending) return
+    const { rgb: c, alpha } = parseColor(pending.color)
+    const a = alpha * pending.opacity
+    if (layer.maxX >= 0) budget -= (layer.maxX - layer.minX + 1) * (layer.maxY - layer.minY + 1)
+    for (let y = layer.minY; y <= layer.maxY; y++) {
+      for (let x = layer.minX; x <= layer.maxX; x++) {
+        const i = y * w + x
+        if (!layer.mask[i]) continue
+        layer.mask[i] = 0
+        for (let k = 0; k < 3; k++) rgb[i * 3 + k] = Math.round(rgb[i * 3 + k] * (1 - a) + c[k] * a)
+      }
+    }
+    layer.minX = w; layer.minY = h; layer.maxX = -1; layer.maxY = -1
+    if (vector && pending.d.length) {
+      const { hex, alpha: ca } = parseColor(pending.color)
+      const op = round2(ca * pending.opacity)
+      svg.push(`<path d="${pending.d.join('')}" fill="none" stroke="${hex}" stroke-width="${pending.size}" stroke-linecap="round" stroke-linejoin="round"${op < 1 ? ` stroke-opacity="${op}"` : ''}/>`)
+    }
+    pending = null
+  }
+
+  // Ops of one stroke (same id and style) share a layer and a single SVG path
+  function strokeLayer(op) {
+    const key = `${op.id}|${op.color}|${op.opacity ?? 1}|${op.size}`
+    if (pending?.key !== key) {
+      composite()
+      pending = { key, color: op.color, opacity: op.opacity ?? 1, size: op.size || 4, d: [] }
+    }
+    return pending
+  }
+
+  function polyline(op, pts) {
+    const r = Math.max(0.5, (op.size || 4) / 2)
+    const p = strokeLayer(op)
+    if (pts.length === 2) capsule(pts[0], pts[1], pts[0], pts[1], r)
+    for (let i = 2; i < pts.length; i += 2) capsule(pts[i - 2], pts[i - 1], pts[i], pts[i + 1], r)
+    if (!vector) return
+    const coords = []
+    for (let i = 0; i < pts.length; i += 2) coords.push(`${round2(pts[i])} ${round2(pts[i + 1])}`)
+    p.d.push(`M${coords[0]}${coords.length > 1 ? 'L' + coords.slice(1).join(' ') : 'l0 0'}`)
+  }
+
+  function shape(op) {
+    composite()
+    const r = Math.max(0.5, (op.size || 4) / 2)
+    const [x1, x2] = [Math.min(op.x1, op.x2), Math.max(op.x1, op.x2)]
+    const [y1, y2] = [Math.min(op.y1, op.y2), Math.max(op.y1, op.y2)]
+    const cx = (x1 + x2) / 2
+    const cy = (y1 + y2) / 2
+    const rx = (x2 - x1) / 2
+    const ry = (y2 - y1) / 2
+    pending = { key: null, color: op.color, opacity: op.opacity ?? 1, size: op.size || 4, d: [] }
+    if (op.shape === 'line') {
+      capsule(op.x1, op.y1, op.x2, op.y2, r)
+    } else if (op.shape === 'rect') {
+      if (op.filled) for (let y = Math.max(0, Math.floor(y1)); y <= Math.min(h - 1, Math.ceil(y2) - 1); y++) span(y, x1, x2)
+      capsule(x1, y1, x2, y1, r); capsule(x2, y1, x2, y2, r); capsule(x2, y2, x1, y2, r); capsule(x1, y2, x1, y1, r)
+    } else {
+      if (op.filled) filledEllipse(cx, cy, rx, ry)
+      // Outline as a polygon fine enough that the segments don't show
+      const steps = Math.max(12, Math.min(256, Math.ceil(Math.PI * (rx + ry) / 4)))
+      for (let i = 0; i < steps; i++) {
+        const a0 = (2 * Math.PI * i) / steps
+        const a1 = (2 * Math.PI * (i + 1)) / steps
+        capsule(cx + rx * Math.cos(a0), cy + ry * Math.sin(a0), cx + rx * Math.cos(a1), cy + ry * Math.sin(a1), r)
+      }
+    }
+    if (!vector) return composite()
+    const { hex, alpha } = parseColor(op.color)
+    const a = round2(alpha * (op.opacity ?? 1))
+    const paint = `${op.filled ? `fill="${hex}"` : 'fill="none"'} stroke="${hex}" stroke-width="${op.size || 4}"${a < 1 ? ` opacity="${a}"` : ''}`
+    if (op.shape === 'line') svg.push(`<line x1="${round2(op.x1)}" y1="${round2(op.y1)}" x2="${round2(op.x2)}" y2="${round2(op.y2)}" stroke-linecap="round" ${paint}/>`)
+    else if (op.shape === 'rect') svg.push(`<rect x="${round2(x1)}" y="${round2(y1)}" width="${round2(x2 - x1)}" height="${round2(y2 - y1)}" ${paint}/>`)
+    else svg.push(`<ellipse cx="${round2(cx)}" cy="${round2(cy)}" rx="${round2(rx)}" ry="${round2(ry)}" ${paint}/>`)
+    composite()
+  }
+
+  // Bucket fill of the exact color under the seed (the raster has no anti-aliasing to bleed through).
+  // Returns the filled [y, left, right] runs
+  function fill(op) {
+    composite()
+    const sx = Math.floor(op.x)
+    const sy = Math.floor(op.y)
+    if (sx < 0 || sy < 0 || sx >= w || sy >= h) return []
+    const seed = (sy * w + sx) * 3
+    const target = [rgb[seed], rgb[seed + 1], rgb[seed + 2]]
+    const paint = parseColor(op.color)
+    if ((op.opacity ?? 1) * paint.alpha === 1 && paint.rgb.every((c, k) => c === target[k])) return []
+    const same = (i) => rgb[i * 3] === target[0] && rgb[i * 3 + 1] === target[1] && rgb[i * 3 + 2] === target[2]
+    const runs = []
+    const stack = [sx, sy] // flat x, y pairs
+    // One seed per stretch of fillable pixels on a neighbouring row
+    const seedRow = (y, left, right) => {
+      const row = y * w
+      let open = false
+      for (let i = left; i <= right; i++) {
+        const ok = !visited[row + i] && same(row + i)
+        if (ok && !open) stack.push(i, y)
+        open = ok
+      }
+    }
+    while (stack.length) {
+      const y = stack.pop()
+      const x = stack.pop()
+      const row = y * w
+      if (visited[row + x] || !same(row + x)) continue
+      let left = x
+      let right = x
+      while (left > 0 && !visited[row + left - 1] && same(row + left - 1)) left--
+      while (right < w - 1 && !visited[row + right + 1] && same(row + right + 1)) right++
+      span(y, left, right + 1)
+      visited.fill(1, row + left, row + right + 1)
+      if (y > 0) seedRow(y - 1, left, right)
+      if (y < h - 1) seedRow(y + 1, left, right)
+      runs.push([y, left, right])
+    }
+    for (const [y, left, right] of runs) visited.fill(0, y * w + left, y * w + right + 1)
+    pending = { key: null, color: op.color, opacity: op.opacity ?? 1, size: 0, d: [] }
+    composite()
+    if (!vector) return runs
+    const { hex, alpha } = parseColor(op.color)
+    const a = round2(alpha * (op.opacity ?? 1))
+    // Stack runs of the same extent on consecutive rows into one rectangle each
+    const rects = []
+    for (const [y, left, right] of runs.sort((p, q) => p[1] - q[1] || p[2] - q[2] || p[0] - q[0])) {
+      const last = rects[rects.length - 1]
+      if (last && last.left === left && last.right === right && last.y + last.rows === y) last.rows++
+      else rects.push({ y, left, right, rows: 1 })
+    }
+    const d = rects.map(r => `M${r.left} ${r.y}h${r.right - r.left + 1}v${r.rows}h${r.left - r.right - 1}z`).join('')
+    if (runs.length) svg.push(`<path d="${d}" fill="${hex}" shape-rendering="crispEdges"${a < 1 ? ` fill-opacity="${a}"` : ''}/>`)
+    return runs
+  }
+
+  return {
+    // Fills return their runs (empty once the budget is spent); other ops return nothing
+    draw(op) {
+      if (!op || typeof op !== 'object') return
+      if (budget <= 0) { truncated = true; return op.type === 'fill' ? [] : undefined }
+      if (op.type === 'begin') polyline(op, [op.x, op.y])
+      else if (op.type === 'line') polyline(op, [op.x1, op.y1, op.x2, op.y2])
+      else if (op.type === 'points') polyline(op, op.points)
+      else if (op.type === 'shape') shape(op)
+      else if (op.type === 'fill') return fill(op)
+    },
+    remaining() {
+      return Math.max(0, budget)
+    },
+    finish() {
+      composite()
+      return {
+        width: w,
+        height: h,
+        truncated,
+        png: encodePng(w, h, rgb),
+        svg: `<svg xmlns="http://www.w3.org/2000/svg" width="${w}" height="${h}" viewBox="0 0 ${w} ${h}"><rect width="${w}" height="${h}" fill="#ffffff"/>${svg.join('')}</svg>`,
+      }
+    },
+  }
+}
+
+export function renderDrawing(strokes, opts) {
+  const renderer = createRenderer(opts)
+  for (const op of strokes || []) renderer.draw(op)
+  return renderer.finish()
+}
@@ -0,0 +1,12 @@
+import { parentPort } from 'worker_threads'
+import { renderDrawing } from './drawing.js'
+
+// Render thread for background.js: one job at a time, answered in the order they arrive
+parentPort.on('message', ({ id, strokes, opts }) => {
+  try {
+    const { png, svg, width, height, truncated } = renderDrawing(strokes, opts)
+    parentPort.postMessage({ id, result: { png, svg, width, height, truncated } })
+  } catch (e) {
+    parentPort.postMessage({ id, error: e?.message || String(e) })
+  }
+})
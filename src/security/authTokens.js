@@ -0,0 +1,37 @@
+import crypto from 'crypto'
+import { serverSecret } from './secret.js'
+
+// Short-lived signed session tokens: issued for verified initData, required by REST writes and socket handshakes
+export const AUTH_TOKEN_TTL_SEC = Number(process.env.AUTH_TOKEN_TTL_SEC || 3600)
+
+function sign(body) {
+  return crypto.createHmac('sha256', serverSecret('AUTH_SECRET')).update(`auth.${body}`).digest('base64url')
+}
+
+// claims: { tgId, name, photoUrl, chatInstance, chatType, chatId, startParam }
+export function issueAuthToken(claims, { ttlSec = AUTH_TOKEN_TTL_SEC } = {}) {
+  const exp = Math.floor(Date.now() / 1000) + Math.max(60, Number(ttlSec) || AUTH_TOKEN_TTL_SEC)
+  const body = Buffer.from(JSON.stringify({ ...claims, exp })).toString('base64url')
+  return { token: `${body}.${sign(body)}`, expiresAt: exp }
+}
+
+export function verifyAuthToken(token) {
+  try {
+    if (!token) return { ok: false, error: 'AUTH_REQUIRED' }
+    const [body, sig] = String(token).split('.')
+    if (!body || !sig) return { ok: false, error: 'AUTH_INVALID' }
+    const expected = sign(body)
+    if (sig.length !== expected.length || !crypto.timingSafeEqual(Buffer.from(sig), Buffer.from(expected))) {
+      return { ok: false, error: 'AUTH_INVALID' }
+    }
+    const claims = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'))
+    if (!claims.exp || claims.exp * 1000 < Date.now()) return { ok: false, error: 'AUTH_EXPIRED' }
+    return { ok: true, ...claims }
+  } catch { return { ok: false, error: 'AUTH_INVALID' } }
+}
+
+// "Bearer <token>" header value, or the bare token
+export function bearerToken(header) {
+  const m = /^Bearer\s+(.+)$/i.exec(String(header || ''))
+  return m ? m[1].trim() : null
+}
@@ -1,11 +1,14 @@
 export function createRateLimiter({ count, windowMs }) {
-  const times = []
+  const entries = [] // [time, cost]
+  let used = 0
   return {
-    allow() {
+    // cost lets one call stand for several units (e.g. the points in a stroke batch)
+    allow(cost = 1) {
       const now = Date.now()
-      while (times.length && now - times[0] > windowMs) times.shift()
-      if (times.length >= count) return false
-      times.push(now)
+      while (entries.length && now - entries[0][0] > windowMs) used -= entries.shift()[1]
+      if (used + cost > count) return false
+      entries.push([now, cost])
+      used += cost
       return true
     }
   }
@@ -0,0 +1,68 @@
+import crypto from 'crypto'
+import { serverSecret } from './secret.js'
+
+// Room codes, room passwords and signed invite tokens
+export const ROOM_CODE_RE = /^[A-Z0-9]{4,8}$/
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789' // no 0/O or 1/I look-alikes
+
+export function randomRoomCode(length = 4) {
+  const n = Math.max(4, Math.min(8, Number(length) || 4))
+  let code = ''
+  for (let i = 0; i < n; i++) code += CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)]
+  return code
+}
+
+export function hashPassword(password) {
+  const salt = crypto.randomBytes(16)
+  const hash = crypto.scryptSync(String(password), salt, 32)
+  return `${salt.toString('hex')}:${hash.toString('hex')}`
+}
+
+export function verifyPassword(password, stored) {
+  try {
+    if (typeof password !== 'string' || !stored) return false
+    const [saltHex, hashHex] = String(stored).split(':')
+    const expected = Buffer.from(hashHex, 'hex')
+    const actual = crypto.scryptSync(password, Buffer.from(saltHex, 'hex'), expected.length)
+    return crypto.timingSafeEqual(actual, expected)
+  } catch { return false }
+}
+
+function sign(body) {
+  return crypto.createHmac('sha256', serverSecret('INVITE_SECRET')).update(body).digest('hex').slice(0, 32)
+}
+
+// Token is CODE-EXPIRY-NONCE-ONETIME-SIG: only [A-Za-z0-9-], so it fits a Telegram startapp parameter
+export function createInvite(code, { ttlSec = 86400, oneTime = false } = {}) {
+  const exp = Math.floor(Date.now() / 1000) + Math.max(60, Number(ttlSec) || 86400)
+  const nonce = crypto.randomBytes(8).toString('hex')
+  const body = `${code}-${exp.toString(36)}-${nonce}-${oneTime ? 1 : 0}`
+  return `${body}-${sign(body)}`
+}
+
+export function parseInvite(token) {
+  try {
+    const parts = String(token || '').split('-')
+    if (parts.length !== 5) return { ok: false, error: 'INVITE_INVALID' }
+    const [code, exp36, nonce, oneTime, sig] = parts
+    const body = `${code}-${exp36}-${nonce}-${oneTime}`
+    const expected = sign(body)
+    if (sig.length !== expected.length || !crypto.timingSafeEqual(Buffer.from(sig), Buffer.from(expected))) {
+      return { ok: false, error: 'INVITE_INVALID' }
+    }
+    if (!ROOM_CODE_RE.test(code)) return { ok: false, error: 'INVITE_INVALID' }
+    const exp = parseInt(exp36, 36)
+    if (!Number.isFinite(exp) || exp * 1000 < Date.now()) return { ok: false, error: 'INVITE_EXPIRED' }
+    return { ok: true, code, nonce, oneTime: oneTime === '1', exp }
+  } catch { return { ok: false, error: 'INVITE_INVALID' } }
+}
+
+// Telegram Mini App deep link carrying the invite (or the bare room code)
+export function buildStartAppLink(webAppUrl, { code, invite } = {}) {
+  if (!webAppUrl) return null
+  try {
+    const url = new URL(webAppUrl)
+    url.searchParams.set('startapp', invite ? `i-${invite}` : `r-${code}`)
+    return url.toString()
+  } catch { return null }
+}
@@ -0,0 +1,14 @@
+import crypto from 'crypto'
+
+// Server-side HMAC secret: the first configured env var, else the bot token, else a per-process random value
+let fallbackSecret = null
+export function serverSecret(...envNames) {
+  for (const name of [...envNames, 'TELEGRAM_BOT_TOKEN', 'TG_BOT_TOKEN']) {
+    if (process.env[name]) return process.env[name]
+  }
+  if (!fallbackSecret) {
+    console.warn(`${envNames[0] || 'Signing secret'} not set; signed tokens and links will stop working after a restart.`)
+    fallbackSecret = crypto.randomBytes(32).toString('hex')
+  }
+  return fallbackSecret
+}
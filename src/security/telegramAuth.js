@@ -0,0 +1,71 @@
+import crypto from 'crypto'
+
+// Telegram Mini App initData: verify the hash, then trust its user and chat context
+export function verifyTelegramInitData(initData, botToken) {
+  try {
+    if (!initData || !botToken) return false
+    const params = new URLSearchParams(initData)
+    const hash = params.get('hash') || ''
+    params.delete('hash')
+    const data = Array.from(params.entries())
+      .map(([k, v]) => `${k}=${v}`)
+      .sort()
+      .join('\n')
+    // Mini App key is HMAC("WebAppData", token); the Login Widget's sha256(token) key is not accepted here
+    const secret = crypto.createHmac('sha256', 'WebAppData').update(botToken).digest()
+    const hmac = crypto.createHmac('sha256', secret).update(data).digest('hex')
+    return hmac.length === hash.length && crypto.timingSafeEqual(Buffer.from(hmac), Buffer.from(hash))
+  } catch { return false }
+}
+
+function parseJson(value) {
+  try { return value ? JSON.parse(value) : null } catch { return null }
+}
+
+// initData older than this (by auth_date) can't be exchanged for a session
+export const INIT_DATA_MAX_AGE_SEC = Number(process.env.INIT_DATA_MAX_AGE_SEC || 86400)
+const CLOCK_SKEW_SEC = 60
+
+// Verified initData as { ok, user, chatInstance, chatType, chat, startParam, authDate }, or { ok: false, error }
+export function parseInitData(initData, botToken, { maxAgeSec = INIT_DATA_MAX_AGE_SEC, now = Date.now() } = {}) {
+  if (!verifyTelegramInitData(initData, botToken)) return { ok: false, error: 'AUTH_FAILED' }
+  const params = new URLSearchParams(initData)
+  const authDate = Number(params.get('auth_date')) || 0
+  const age = now / 1000 - authDate
+  if (!authDate || age > maxAgeSec || age < -CLOCK_SKEW_SEC) return { ok: false, error: 'AUTH_EXPIRED' }
+  const user = parseJson(params.get('user'))
+  return {
+    ok: true,
+    user: user && user.id ? {
+      id: String(user.id),
+      name: [user.first_name, user.last_name].filter(Boolean).join(' ') || user.username || null,
+      username: user.username || null,
+      photoUrl: user.photo_url || null,
+    } : null,
+    chatInstance: params.get('chat_instance') || null,
+    chatType: params.get('chat_type') || null,
+    chat: parseJson(params.get('chat')),
+    startParam: params.get('start_param') || null,
+    authDate,
+  }
+}
+
+// Room code or invite carried by a startapp deep link (see buildStartAppLink)
+export function startParamTarget(startParam) {
+  const s = String(startParam || '')
+  if (s.startsWith('i-')) return { invite: s.slice(2) }
+  if (s.startsWith('r-')) return { code: s.slice(2) }
+  return {}
+}
+
+// Only rooms opened from these chats get a group leaderboard
+export const GROUP_CHAT_TYPES = ['group', 'supergroup']
+export const CHAT_ID_RE = /^-?[A-Za-z0-9_]{1,64}$/
+
+// Whether a joiner's group chat may claim the room for its leaderboard. A bot /play room already
+// belongs to the chat it was opened in, so only a joiner launched from that same chat counts
+export function groupChatMatches(auth, room) {
+  if (!auth?.chatInstance || !GROUP_CHAT_TYPES.includes(auth.chatType)) return false
+  if (!room.botChatId) return true
+  return auth.chatId != null && String(auth.chatId) === String(room.botChatId)
+}
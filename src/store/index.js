@@ -0,0 +1,14 @@
+import os from 'os'
+import crypto from 'crypto'
+import { createMemoryRoomStore } from './memoryStore.js'
+import { createRedisRoomStore } from './redisStore.js'
+
+// ROOM_STORE=redis (with REDIS_URL) lets several instances share rooms; memory is single-instance
+export function createRoomStore(env = process.env) {
+  const nodeId = env.NODE_ID || `${os.hostname()}-${process.pid}-${crypto.randomBytes(3).toString('hex')}`
+  if (String(env.ROOM_STORE || 'memory').toLowerCase() === 'redis') {
+    if (!env.REDIS_URL) throw new Error('ROOM_STORE=redis needs REDIS_URL')
+    return createRedisRoomStore({ url: env.REDIS_URL, nodeId, leaseMs: Number(env.ROOM_LEASE_MS || 15000) })
+  }
+  return createMemoryRoomStore({ nodeId })
+}
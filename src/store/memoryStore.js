@@ -0,0 +1,20 @@
+// Single-instance room store: live rooms in a process-local Map, nothing shared
+export function createMemoryRoomStore({ nodeId } = {}) {
+  const rooms = new Map()
+  return {
+    kind: 'memory',
+    nodeId,
+    rooms,
+    persistent: false,
+    async connect() {},
+    adapter: null,
+    async claim() { return true },
+    async renew(codes) { return codes },
+    async release() {},
+    async ownerOf(code) { return rooms.has(code) ? nodeId : null },
+    async save() {},
+    async load() { return null },
+    async orphans() { return [] },
+    async close() {},
+  }
+}
@@ -0,0 +1,78 @@
+import { createClient } from 'redis'
+import { createAdapter } from '@socket.io/redis-adapter'
+import { serializeRoom, restoreRoom } from '../domain/snapshot.js'
+
+// Shared room store: each room is owned by one node through a lease key; the owner keeps the
+// live room in memory and writes snapshots here so another node can take over if it dies
+const RENEW_SCRIPT = `if redis.call('GET', KEYS[1]) == ARGV[1] then return redis.call('PEXPIRE', KEYS[1], ARGV[2]) else return 0 end`
+const RELEASE_SCRIPT = `if redis.call('GET', KEYS[1]) == ARGV[1] then redis.call('DEL', KEYS[1], KEYS[2]) redis.call('SREM', KEYS[3], ARGV[2]) return 1 else return 0 end`
+const SNAPSHOT_TTL_SEC = 24 * 3600
+
+export function createRedisRoomStore({ url, nodeId, leaseMs = 15000, prefix = 'skribbl' } = {}) {
+  // Give up quickly if Redis is down at startup; once connected, keep retrying with backoff
+  let connected = false
+  const reconnectStrategy = retries => connected ? Math.min(retries * 200, 5000) : retries >= 5 ? new Error('Redis unreachable') : 500
+  const client = createClient({ url, socket: { reconnectStrategy } })
+  const subClient = client.duplicate()
+  const rooms = new Map()
+  const ownerKey = code => `${prefix}:room:${code}:owner`
+  const stateKey = code => `${prefix}:room:${code}:state`
+  const indexKey = `${prefix}:rooms`
+
+  return {
+    kind: 'redis',
+    nodeId,
+    rooms,
+    persistent: true,
+    leaseMs,
+    async connect() {
+      for (const c of [client, subClient]) c.on('error', e => console.warn('Redis error:', e?.message || e))
+      await Promise.all([client.connect(), subClient.connect()])
+      connected = true
+    },
+    adapter: () => createAdapter(client, subClient, { key: `${prefix}:io` }),
+    async claim(code) {
+      const ok = await client.set(ownerKey(code), nodeId, { NX: true, PX: leaseMs })
+      if (ok === 'OK') {
+        await client.sAdd(indexKey, code)
+        return true
+      }
+      return (await client.get(ownerKey(code))) === nodeId
+    },
+    // Codes this node still owns after extending their leases
+    async renew(codes) {
+      const kept = []
+      for (const code of codes) {
+        const ok = await client.eval(RENEW_SCRIPT, { keys: [ownerKey(code)], arguments: [nodeId, String(leaseMs)] })
+        if (ok) kept.push(code)
+      }
+      return kept
+    },
+    async release(code) {
+      await client.eval(RELEASE_SCRIPT, { keys: [ownerKey(code), stateKey(code), indexKey], arguments: [nodeId, code] })
+    },
+    async ownerOf(code) {
+      return client.get(ownerKey(code))
+    },
+    async save(room) {
+      await client.set(stateKey(room.code), serializeRoom(room), { EX: SNAPSHOT_TTL_SEC })
+    },
+    async load(code) {
+      const raw = await client.get(stateKey(code))
+      return raw ? restoreRoom(raw) : null
+    },
+    // Rooms with a snapshot but no live owner (lease expired)
+    async orphans() {
+      const out = []
+      for (const code of await client.sMembers(indexKey)) {
+        if (await client.exists(ownerKey(code))) continue
+        if (await client.exists(stateKey(code))) out.push(code)
+        else await client.sRem(indexKey, code)
+      }
+      return out
+    },
+    async close() {
+      await Promise.allSettled([client.quit(), subClient.quit()])
+    },
+  }
+}
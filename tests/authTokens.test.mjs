@@ -0,0 +1,32 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import { issueAuthToken, verifyAuthToken, bearerToken } from '../src/security/authTokens.js'
+
+process.env.AUTH_SECRET = 'test-secret'
+
+test('tokens carry their claims until they expire', () => {
+  const { token, expiresAt } = issueAuthToken({ tgId: '42', name: 'Ada' }, { ttlSec: 600 })
+  const auth = verifyAuthToken(token)
+  assert.equal(auth.ok, true)
+  assert.equal(auth.tgId, '42')
+  assert.equal(auth.exp, expiresAt)
+})
+
+test('missing, forged and expired tokens are rejected', () => {
+  const { token } = issueAuthToken({ tgId: '42' })
+  const [body, sig] = token.split('.')
+  const forged = Buffer.from(JSON.stringify({ tgId: '1', exp: 9999999999 })).toString('base64url')
+  assert.equal(verifyAuthToken(undefined).error, 'AUTH_REQUIRED')
+  assert.equal(verifyAuthToken(`${forged}.${sig}`).error, 'AUTH_INVALID')
+  assert.equal(verifyAuthToken(body).error, 'AUTH_INVALID')
+  const realNow = Date.now
+  try {
+    Date.now = () => realNow() + 2 * 3600 * 1000
+    assert.equal(verifyAuthToken(token).error, 'AUTH_EXPIRED')
+  } finally { Date.now = realNow }
+})
+
+test('bearer header parsing', () => {
+  assert.equal(bearerToken('Bearer abc.def'), 'abc.def')
+  assert.equal(bearerToken('Basic x'), null)
+})
@@ -0,0 +1,84 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import http from 'http'
+import { createBotApi } from '../src/bot/botApi.js'
+import { createBotHandler, parseCommand, formatGameResults } from '../src/bot/commands.js'
+
+// Local stand-in for api.telegram.org that records every call
+async function fakeBotServer() {
+  const calls = []
+  const server = http.createServer((req, res) => {
+    let body = ''
+    req.on('data', chunk => { body += chunk })
+    req.on('end', () => {
+      calls.push({ path: req.url, body: JSON.parse(body || '{}') })
+      res.setHeader('Content-Type', 'application/json')
+      res.end(JSON.stringify({ ok: true, result: { message_id: calls.length } }))
+    })
+  })
+  await new Promise(resolve => server.listen(0, resolve))
+  return { calls, baseUrl: `http://127.0.0.1:${server.address().port}`, close: () => server.close() }
+}
+
+const message = (text, chat = { id: -100, type: 'supergroup' }) => ({ message: { text, chat, from: { id: 42, first_name: 'Ada' } } })
+
+test('commands parse with and without the bot mention', () => {
+  assert.deepEqual(parseCommand('/leaderboard week', 'ScribblyBot'), { command: 'leaderboard', args: ['week'] })
+  assert.equal(parseCommand('/play@ScribblyBot', 'scribblybot').command, 'play')
+  assert.equal(parseCommand('/play@OtherBot', 'ScribblyBot'), null)
+  assert.equal(parseCommand('hello'), null)
+})
+
+test('/play creates a room and replies with a join button', async () => {
+  const fake = await fakeBotServer()
+  try {
+    const api = createBotApi({ token: 'T', baseUrl: fake.baseUrl })
+    const created = []
+    const handle = createBotHandler({
+      api,
+      createRoom: async (ctx) => { created.push(ctx); return { code: 'AB12', link: 'https://t.me/bot/app?startapp=r-AB12' } },
+    })
+    assert.equal(await handle(message('/play')), true)
+    assert.equal(created[0].chatId, -100)
+    const [call] = fake.calls
+    assert.equal(call.path, '/botT/sendMessage')
+    assert.match(call.body.text, /AB12/)
+    assert.equal(call.body.reply_markup.inline_keyboard[0][0].url, 'https://t.me/bot/app?startapp=r-AB12')
+  } finally { fake.close() }
+})
+
+test('/play asks the chat to wait while rooms are rate-limited', async () => {
+  const fake = await fakeBotServer()
+  try {
+    const handle = createBotHandler({
+      api: createBotApi({ token: 'T', baseUrl: fake.baseUrl }),
+      createRoom: async () => ({ retryAfter: 12 }),
+    })
+    assert.equal(await handle(message('/play')), true)
+    assert.match(fake.calls[0].body.text, /again in 12s/)
+    assert.equal(fake.calls[0].body.reply_markup, undefined)
+  } finally { fake.close() }
+})
+
+test('/leaderboard and /stats format data from the users collection', async () => {
+  const fake = await fakeBotServer()
+  try {
+    const handle = createBotHandler({
+      api: createBotApi({ token: 'T', baseUrl: fake.baseUrl }),
+      getLeaderboard: async ({ period }) => ({ users: [{ name: '<Ada>', score: 300 }, { name: 'Bo', score: 120 }], group: period === 'week' }),
+      getUser: async (tgId) => ({ _id: tgId, name: 'Ada', score: 300, stats: { gamesPlayed: 2, wins: 1 } }),
+    })
+    await handle(message('/leaderboard week'))
+    await handle(message('/stats'))
+    assert.match(fake.calls[0].body.text, /Group leaderboard \(week\)/)
+    assert.match(fake.calls[0].body.text, /🥇 &lt;Ada&gt; — 300/)
+    assert.match(fake.calls[1].body.text, /Games: 2 · Wins: 1/)
+    assert.equal(await handle(message('just chatting')), false)
+  } finally { fake.close() }
+})
+
+test('game results list the standings', () => {
+  const text = formatGameResults({ code: 'AB12', status: 'completed', standings: [{ name: 'Ada', score: 300, rank: 1 }, { name: 'Bo', score: 120, rank: 2 }] })
+  assert.match(text, /Game over in room AB12/)
+  assert.match(text, /🥈 Bo — 120/)
+})
@@ -0,0 +1,169 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import { resetStrokes, recordStroke, sendCanvasSnapshot, normalizeStroke, applyStroke, strokeCost, legacyOps, queueDraw, flushDraw, DRAW_BATCH_ROOM, DRAW_LEGACY_ROOM } from '../src/domain/canvas.js'
+import { endTurn, clearRoomTimers } from '../src/domain/rooms.js'
+
+const LEGACY_TYPES = ['begin', 'line', 'clear']
+
+function fakeIo() {
+  const sent = []
+  return { sent, to: (id) => ({ emit: (ev, data) => sent.push({ id, ev, data }) }) }
+}
+
+test('stroke log records in order and resets', () => {
+  const room = {}
+  resetStrokes(room)
+  recordStroke(room, { type: 'begin', x: 1, y: 2 })
+  recordStroke(room, { type: 'line', x1: 1, y1: 2, x2: 3, y2: 4 })
+  assert.deepEqual(room.strokes.map(s => s.type), ['begin', 'line'])
+  resetStrokes(room)
+  assert.equal(room.strokes.length, 0)
+})
+
+test('canvas snapshot is only sent while drawing', () => {
+  const io = fakeIo()
+  const room = { phase: 'choosing' }
+  resetStrokes(room)
+  recordStroke(room, { type: 'begin', x: 0, y: 0 })
+  sendCanvasSnapshot(io, room, 's1')
+  assert.equal(io.sent.length, 0)
+  room.phase = 'drawing'
+  sendCanvasSnapshot(io, room, 's1')
+  assert.equal(io.sent.length, 1)
+  assert.equal(io.sent[0].ev, 'canvas_snapshot')
+  assert.equal(io.sent[0].data.strokes.length, 1)
+  assert.equal(io.sent[0].data.truncated, false)
+})
+
+test('stroke schema keeps old payloads and bounds the new ops', () => {
+  assert.deepEqual(normalizeStroke({ type: 'line', x1: 1, y1: 2, x2: 3, y2: 4, size: 99, color: 'f00' }),
+    { type: 'line', x1: 1, y1: 2, x2: 3, y2: 4, size: 16, color: '#f00' })
+  assert.deepEqual(normalizeStroke({ type: 'clear' }), { type: 'clear', size: 4, color: '#111111' })
+  const eraser = normalizeStroke({ type: 'begin', x: 0, y: 0, tool: 'eraser', size: 40, color: '#000', opacity: 0.2 })
+  assert.equal(eraser.tool, 'eraser')
+  assert.equal(eraser.size, 40)
+  assert.equal(eraser.color, '#FFFFFF')
+  assert.equal(eraser.opacity, undefined)
+  assert.equal(normalizeStroke({ type: 'line', x1: 0, y1: 0, x2: 1, y2: 1, opacity: 0 }).opacity, 0.05)
+  assert.deepEqual(normalizeStroke({ type: 'fill', x: 5, y: 6, color: '#00ff00', id: 'f1' }), { type: 'fill', id: 'f1', x: 5, y: 6, color: '#00ff00' })
+  assert.equal(normalizeStroke({ type: 'shape', shape: 'rect', x1: 0, y1: 0, x2: 9, y2: 9, filled: true }).filled, true)
+  assert.equal(normalizeStroke({ type: 'shape', shape: 'star', x1: 0, y1: 0, x2: 9, y2: 9 }), null)
+  assert.equal(normalizeStroke({ type: 'fill', x: 1e6, y: 0 }), null)
+  assert.equal(normalizeStroke({ type: 'line', x1: '1', y1: 0, x2: 0, y2: 0 }), null)
+  assert.deepEqual(normalizeStroke({ type: 'undo', id: 'bad id!' }), { type: 'undo' })
+})
+
+test('undo and redo remove and restore whole strokes', () => {
+  const room = {}
+  resetStrokes(room)
+  const draw = (s) => applyStroke(room, normalizeStroke(s))
+  draw({ type: 'begin', x: 0, y: 0 })
+  draw({ type: 'line', x1: 0, y1: 0, x2: 5, y2: 5 })
+  draw({ type: 'begin', x: 9, y: 9 })
+  draw({ type: 'line', x1: 9, y1: 9, x2: 7, y2: 7 })
+  draw({ type: 'fill', x: 1, y: 1 })
+  assert.deepEqual(room.strokes.map(s => s.id), ['s1', 's1', 's2', 's2', 's3'])
+
+  assert.deepEqual(draw({ type: 'undo' }), { type: 'undo', id: 's3' })
+  assert.deepEqual(draw({ type: 'undo' }), { type: 'undo', id: 's2' })
+  assert.deepEqual(room.strokes.map(s => s.id), ['s1', 's1'])
+  const redo = draw({ type: 'redo' })
+  assert.equal(redo.id, 's2')
+  assert.equal(redo.strokes.length, 2)
+  assert.deepEqual(room.strokes.map(s => s.id), ['s1', 's1', 's2', 's2'])
+
+  // New ink drops what is left to redo
+  draw({ type: 'shape', shape: 'ellipse', x1: 0, y1: 0, x2: 3, y2: 3 })
+  assert.equal(draw({ type: 'redo' }), null)
+  assert.equal(draw({ type: 'undo', id: 'nope' }), null)
+})
+
+test('point runs continue their stroke and expand for legacy clients', () => {
+  const room = {}
+  resetStrokes(room)
+  const first = applyStroke(room, normalizeStroke({ type: 'points', begin: true, points: [0, 0, 1, 1] }))
+  const next = applyStroke(room, normalizeStroke({ type: 'points', points: [2, 2, 3, 3] }))
+  assert.equal(next.id, first.id)
+  assert.deepEqual(next.points, [1, 1, 2, 2, 3, 3])
+  assert.equal(strokeCost(next), 3)
+  assert.deepEqual(legacyOps(first).map(o => o.type), ['begin', 'line'])
+  assert.deepEqual(legacyOps(next).map(o => [o.type, o.x1, o.x2]), [['line', 1, 2], ['line', 2, 3]])
+  assert.equal(normalizeStroke({ type: 'points', points: [1, 2, 3] }), null)
+})
+
+test('relayed ops are coalesced into one batch per flush', () => {
+  const sent = []
+  const io = { to: (room) => ({ except: (ex) => ({ emit: (ev, data) => sent.push({ room, ex, ev, data }) }) }) }
+  const room = { code: 'AB12' }
+  queueDraw(io, room, 'd1', { type: 'begin', x: 0, y: 0 })
+  queueDraw(io, room, 'd1', { type: 'points', begin: false, points: [0, 0, 5, 5, 9, 9] })
+  assert.equal(sent.length, 0)
+  flushDraw(io, room)
+  const batches = sent.filter(s => s.ev === 'draw_batch')
+  assert.equal(batches.length, 1)
+  assert.equal(batches[0].data.strokes.length, 2)
+  assert.deepEqual(batches[0].ex, ['d1', DRAW_LEGACY_ROOM])
+  const legacy = sent.filter(s => s.ev === 'draw')
+  assert.equal(legacy.length, 3)
+  assert.ok(legacy.every(s => s.ex.includes(DRAW_BATCH_ROOM)))
+  assert.equal(room._drawFlushHandle, null)
+})
+
+test('legacy clients get undo as a clear and a replay of the log', () => {
+  const room = {}
+  resetStrokes(room)
+  applyStroke(room, normalizeStroke({ type: 'begin', x: 1, y: 1, size: 4 }))
+  applyStroke(room, normalizeStroke({ type: 'line', x1: 1, y1: 1, x2: 5, y2: 5, size: 4 }))
+  applyStroke(room, normalizeStroke({ type: 'begin', x: 9, y: 9, size: 4, tool: 'eraser' }))
+  const undo = applyStroke(room, normalizeStroke({ type: 'undo' }))
+  assert.deepEqual(legacyOps(undo, room).map(o => o.type), ['clear', 'begin', 'line'])
+  const redo = applyStroke(room, normalizeStroke({ type: 'redo' }))
+  const replay = legacyOps(redo, room)
+  assert.deepEqual(replay.map(o => o.type), ['clear', 'begin', 'line', 'begin'])
+  // The eraser is plain white ink to them
+  assert.equal(replay[3].tool, undefined)
+  assert.equal(replay[3].color, '#FFFFFF')
+})
+
+test('legacy clients get shapes and fills as line work', () => {
+  const room = {}
+  resetStrokes(room)
+  const rect = applyStroke(room, normalizeStroke({ type: 'shape', shape: 'rect', x1: 10, y1: 10, x2: 50, y2: 40, size: 2, color: '#000' }))
+  const outline = legacyOps(rect, room)
+  assert.deepEqual(outline.map(o => o.type), ['begin', 'line', 'line', 'line', 'line'])
+  const filled = legacyOps(normalizeStroke({ type: 'shape', shape: 'ellipse', x1: 0, y1: 0, x2: 40, y2: 40, filled: true }), room)
+  assert.ok(filled.length > 13 && filled.every(o => LEGACY_TYPES.includes(o.type)))
+  // The fill stays inside the rectangle it was poured into
+  const fill = applyStroke(room, normalizeStroke({ type: 'fill', x: 30, y: 25, color: '#ff0000' }))
+  const runs = legacyOps(fill, room)
+  assert.ok(runs.length > 0 && runs.every(o => LEGACY_TYPES.includes(o.type) && o.color === '#ff0000'))
+  for (const o of runs.filter(o => o.type === 'line')) {
+    assert.ok(o.x1 >= 10 && o.x2 <= 50 && o.y1 - o.size / 2 >= 10 && o.y1 + o.size / 2 <= 40)
+  }
+  // Late legacy joiners get the same line work in their snapshot
+  const sent = []
+  const io = { to: () => ({ except: (ex) => ({ emit: (ev, data) => sent.push({ ex, data }) }) }) }
+  room.phase = 'drawing'
+  sendCanvasSnapshot(io, room, 's1')
+  const legacy = sent.find(s => s.ex === DRAW_BATCH_ROOM).data.strokes
+  assert.deepEqual(legacy, [...outline, ...runs])
+})
+
+test('a turn change never delivers the last turn\'s pending ops late', () => {
+  const sent = []
+  const target = (room) => ({ emit: (ev, data) => sent.push({ room, ev, data }), except: () => target(room) })
+  const io = { to: target }
+  const room = { code: 'AB12', players: new Map(), phase: 'drawing', currentWord: 'cat' }
+  resetStrokes(room)
+  queueDraw(io, room, 'd1', { type: 'begin', x: 0, y: 0 })
+  endTurn(io, room)
+  clearRoomTimers(room)
+  const events = sent.map(s => s.ev)
+  // Flushed before the turn ends, not after
+  assert.ok(events.indexOf('draw_batch') !== -1 && events.indexOf('draw_batch') < events.indexOf('turn_end'))
+  assert.equal(room._drawFlushHandle, null)
+  queueDraw(io, room, 'd1', { type: 'begin', x: 1, y: 1 })
+  resetStrokes(room) // next turn
+  assert.equal(room._drawQueue, null)
+  assert.equal(room._drawFlushHandle, null)
+})
@@ -0,0 +1,34 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import { normalizeText, isCorrectGuess, isCloseGuess, guessFeedback, containsWord } from '../src/domain/guess.js'
+
+test('normalization folds case, accents, whitespace and hyphens', () => {
+  assert.equal(normalizeText('  Café-Crème  '), 'cafe creme')
+  assert.equal(normalizeText('Straße'), 'strasse')
+  assert.ok(isCorrectGuess('ice-cream', 'ice cream'))
+  assert.ok(isCorrectGuess('ICECREAM', 'ice cream'))
+  assert.ok(isCorrectGuess('cafe', 'café'))
+  assert.ok(!isCorrectGuess('ice', 'ice cream'))
+})
+
+test('accepted synonyms count as correct', () => {
+  assert.ok(isCorrectGuess('Bike', 'bicycle', ['bike']))
+  assert.ok(!isCorrectGuess('bike', 'bicycle'))
+})
+
+test('close and partial feedback', () => {
+  assert.ok(isCloseGuess('elefant', 'elephant'))
+  assert.ok(!isCloseGuess('elephant', 'elephant'))
+  assert.deepEqual(guessFeedback('time', 'time machine'), { close: false, partial: true })
+  assert.deepEqual(guessFeedback('a time travel thing', 'time machine'), { close: false, partial: true })
+  assert.deepEqual(guessFeedback('tim machine', 'time machine'), { close: true, partial: false })
+  assert.deepEqual(guessFeedback('dog', 'cat'), { close: false, partial: false })
+})
+
+test('containsWord finds whole-word mentions only', () => {
+  assert.ok(containsWord('it is a CAT lol', 'cat'))
+  assert.ok(containsWord('c a t', 'cat'))
+  assert.ok(containsWord('love ice-cream', 'ice cream'))
+  assert.ok(containsWord('ride a bike', 'bicycle', ['bike']))
+  assert.ok(!containsWord('scar tissue', 'car'))
+})
@@ -0,0 +1,27 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import { buildStandings, playerKey, beginGameRecord, recordTurnStart } from '../src/domain/history.js'
+
+test('standings sort by score and share ranks on ties', () => {
+  const standings = buildStandings([
+    { id: 'a', name: 'A', score: 120 },
+    { id: 'b', name: 'B', tgId: 42, score: 300 },
+    { id: 'c', name: 'C', score: 120 },
+    { id: 'd', name: 'D', score: 10 },
+  ])
+  assert.deepEqual(standings.map(s => [s.key, s.rank]), [['42', 1], ['a', 2], ['c', 2], ['d', 4]])
+})
+
+test('player key prefers the Telegram id', () => {
+  assert.equal(playerKey({ id: 'sock', tgId: 7 }), '7')
+  assert.equal(playerKey({ id: 'sock' }), 'sock')
+})
+
+test('game record numbers turns without a database', () => {
+  const room = { code: 'AB12', round: 1, players: new Map([['a', { id: 'a', name: 'A', score: 0 }]]) }
+  const id = beginGameRecord(room)
+  assert.equal(typeof id, 'string')
+  recordTurnStart(room, room.players.get('a'))
+  recordTurnStart(room, room.players.get('a'))
+  assert.equal(room.turnIndex, 1)
+})
@@ -0,0 +1,56 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import { listingFor, pickQuickPlayRoom } from '../src/domain/lobby.js'
+
+function room(code, { players = 1, offline = 0, phase = 'waiting', settings = {}, passwordHash } = {}) {
+  const map = new Map()
+  for (let i = 0; i < players; i++) map.set(`${code}-${i}`, { id: `${code}-${i}`, connected: i >= offline })
+  return { code, players: map, phase, passwordHash, settings: { isPublic: true, ...settings } }
+}
+
+test('listingFor summarizes a room for the browser', () => {
+  const r = room('AAAA', { players: 3, offline: 1, settings: { maxPlayers: 4, wordPacks: ['es-general'] } })
+  r.spectators = new Map([['s', {}]])
+  const listing = listingFor(r)
+  assert.equal(listing.players, 2) // offline players don't count
+  assert.equal(listing.spectators, 1)
+  assert.equal(listing.language, 'es')
+  assert.equal(listing.protected, false)
+  assert.equal(listing.joinable, true)
+  assert.equal(listingFor(room('BBBB')).language, 'en')
+  assert.equal(listingFor(room('CCCC', { passwordHash: 'x' })).protected, true)
+  assert.equal(listingFor(room('DDDD', { players: 4, settings: { maxPlayers: 4 } })).joinable, false)
+  assert.equal(listingFor(room('EEEE', { phase: 'drawing' })).joinable, false)
+})
+
+test('quick play picks the fullest open public room', () => {
+  const rooms = new Map([
+    ['A', room('A', { players: 1 })],
+    ['B', room('B', { players: 3 })],
+    ['C', room('C', { players: 2 })],
+  ])
+  assert.equal(pickQuickPlayRoom(rooms).code, 'B')
+})
+
+test('quick play skips private, protected, full and started rooms', () => {
+  const rooms = new Map([
+    ['PRIV', room('PRIV', { players: 5, settings: { isPublic: false } })],
+    ['LOCK', room('LOCK', { players: 5, passwordHash: 'hash' })],
+    ['FULL', room('FULL', { players: 4, settings: { maxPlayers: 4 } })],
+    ['LIVE', room('LIVE', { players: 5, phase: 'drawing' })],
+    ['OPEN', room('OPEN', { players: 1 })],
+  ])
+  assert.equal(pickQuickPlayRoom(rooms).code, 'OPEN')
+  rooms.delete('OPEN')
+  assert.equal(pickQuickPlayRoom(rooms), null)
+})
+
+test('quick play filters by language', () => {
+  const rooms = new Map([
+    ['EN', room('EN', { players: 3 })],
+    ['ES', room('ES', { players: 1, settings: { wordPacks: ['es-general'] } })],
+  ])
+  assert.equal(pickQuickPlayRoom(rooms, { language: 'es' }).code, 'ES')
+  assert.equal(pickQuickPlayRoom(rooms, { language: 'en' }).code, 'EN')
+  assert.equal(pickQuickPlayRoom(rooms, { language: 'de' }), null)
+})
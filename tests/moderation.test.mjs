@@ -0,0 +1,47 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import { castKickVote, banPlayer, isBanned } from '../src/domain/moderation.js'
+import { markDisconnected, rebindPlayer } from '../src/domain/sessions.js'
+
+function makeRoom(n) {
+  const players = new Map()
+  for (let i = 0; i < n; i++) players.set(`p${i}`, { id: `p${i}`, tgId: String(100 + i) })
+  return { players }
+}
+
+test('vote kick needs a majority of the other players', () => {
+  const room = makeRoom(5)
+  assert.deepEqual(castKickVote(room, 'p1', 'p0'), { ok: true, votes: 1, needed: 3, passed: false })
+  assert.equal(castKickVote(room, 'p1', 'p0').error, 'ALREADY_VOTED')
+  castKickVote(room, 'p2', 'p0')
+  assert.equal(castKickVote(room, 'p3', 'p0').passed, true)
+})
+
+test('vote kick is unavailable in small rooms and for self', () => {
+  assert.equal(castKickVote(makeRoom(2), 'p1', 'p0').error, 'VOTE_KICK_UNAVAILABLE')
+  assert.equal(castKickVote(makeRoom(4), 'p1', 'p1').error, 'CANNOT_KICK_SELF')
+})
+
+test('kick votes follow a player who reconnects mid-vote', () => {
+  const room = makeRoom(5)
+  castKickVote(room, 'p1', 'p0')
+  castKickVote(room, 'p0', 'p2')
+  // The target reconnects: the vote against them still counts
+  markDisconnected(room.players.get('p0'))
+  rebindPlayer(room, 'p0', 'p0b')
+  castKickVote(room, 'p2', 'p0b')
+  assert.equal(castKickVote(room, 'p3', 'p0b').passed, true)
+  // The voter reconnects: they cannot vote a second time
+  markDisconnected(room.players.get('p1'))
+  rebindPlayer(room, 'p1', 'p1b')
+  assert.equal(castKickVote(room, 'p1b', 'p0b').error, 'ALREADY_VOTED')
+  assert.deepEqual(Array.from(room.kickVotes.get('p2')), ['p0b'])
+})
+
+test('bans match socket id or tgId', () => {
+  const room = makeRoom(3)
+  banPlayer(room, room.players.get('p1'))
+  assert.ok(isBanned(room, { socketId: 'p1' }))
+  assert.ok(isBanned(room, { socketId: 'other', tgId: 101 }))
+  assert.ok(!isBanned(room, { socketId: 'p2', tgId: '102' }))
+})
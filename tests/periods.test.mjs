@@ -0,0 +1,24 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import { periodBucket, parsePeriod, bucketExpiry } from '../src/domain/periods.js'
+
+test('calendar buckets use UTC dates and ISO weeks', () => {
+  const d = new Date(Date.UTC(2026, 0, 1, 23, 30))
+  assert.equal(periodBucket('day', d), '2026-01-01')
+  assert.equal(periodBucket('month', d), '2026-01')
+  assert.equal(periodBucket('week', d), '2026-W01')
+  // Jan 1st 2027 is a Friday, so it still belongs to the last week of 2026
+  assert.equal(periodBucket('week', new Date(Date.UTC(2027, 0, 1))), '2026-W53')
+  assert.equal(periodBucket('season', d), null)
+})
+
+test('period parsing defaults to all and rejects unknown values', () => {
+  assert.equal(parsePeriod(undefined), 'all')
+  assert.equal(parsePeriod('Week'), 'week')
+  assert.equal(parsePeriod('year'), null)
+})
+
+test('only short buckets expire', () => {
+  assert.ok(bucketExpiry('day') instanceof Date)
+  assert.equal(bucketExpiry('month'), null)
+})
@@ -12,3 +12,11 @@ test('rate limiter allows up to count within window', async () => {
   await new Promise(r => setTimeout(r, 110))
   assert.equal(rl.allow(), true)
 })
+
+test('rate limiter can charge several units per call', () => {
+  const rl = createRateLimiter({ count: 10, windowMs: 1000 })
+  assert.equal(rl.allow(6), true)
+  assert.equal(rl.allow(5), false)
+  assert.equal(rl.allow(4), true)
+  assert.equal(rl.allow(), false)
+})
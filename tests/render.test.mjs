@@ -0,0 +1,87 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import zlib from 'zlib'
+import { renderDrawing } from '../src/render/drawing.js'
+import { renderInBackground } from '../src/render/background.js'
+
+// Enough of a PNG reader to check pixels: one IDAT, Sub filter, RGB
+function readPng(buf) {
+  assert.equal(buf.subarray(1, 4).toString('ascii'), 'PNG')
+  const width = buf.readUInt32BE(16)
+  const height = buf.readUInt32BE(20)
+  let o = 8
+  let idat = null
+  while (o < buf.length) {
+    const len = buf.readUInt32BE(o)
+    if (buf.subarray(o + 4, o + 8).toString('ascii') === 'IDAT') idat = buf.subarray(o + 8, o + 8 + len)
+    o += 12 + len
+  }
+  const raw = zlib.inflateSync(idat)
+  const stride = width * 3
+  const rgb = Buffer.alloc(stride * height)
+  for (let y = 0; y < height; y++) {
+    for (let i = 0; i < stride; i++) {
+      const left = i >= 3 ? rgb[y * stride + i - 3] : 0
+      rgb[y * stride + i] = (raw[y * (stride + 1) + 1 + i] + left) & 0xff
+    }
+  }
+  return { width, height, pixel: (x, y) => Array.from(rgb.subarray((y * width + x) * 3, (y * width + x) * 3 + 3)) }
+}
+
+test('strokes, shapes, fills and the eraser rasterize to PNG', () => {
+  const { png, width, height } = renderDrawing([
+    { type: 'begin', id: 's1', x: 10, y: 10, size: 4, color: '#ff0000' },
+    { type: 'line', id: 's1', x1: 10, y1: 10, x2: 50, y2: 10, size: 4, color: '#ff0000' },
+    { type: 'shape', id: 's2', shape: 'rect', x1: 60, y1: 20, x2: 90, y2: 50, size: 2, color: '#0000ff' },
+    { type: 'fill', id: 's3', x: 75, y: 35, color: '#00ff00' },
+    { type: 'line', id: 's4', x1: 30, y1: 0, x2: 30, y2: 20, size: 6, color: '#FFFFFF', tool: 'eraser' },
+  ], { width: 100, height: 60 })
+  const img = readPng(png)
+  assert.equal(img.width, width)
+  assert.equal(img.height, height)
+  assert.deepEqual(img.pixel(15, 10), [255, 0, 0])
+  assert.deepEqual(img.pixel(30, 10), [255, 255, 255]) // erased
+  assert.deepEqual(img.pixel(60, 35), [0, 0, 255])
+  assert.deepEqual(img.pixel(75, 35), [0, 255, 0])
+  assert.deepEqual(img.pixel(95, 55), [255, 255, 255]) // outside the rect, untouched by the fill
+})
+
+test('opacity blends once per stroke, even where segments overlap', () => {
+  const { png } = renderDrawing([
+    { type: 'points', id: 's1', begin: true, points: [5, 5, 15, 5, 5, 5], size: 4, color: '#000000', opacity: 0.5 },
+  ], { width: 20, height: 10 })
+  assert.deepEqual(readPng(png).pixel(10, 5), [128, 128, 128])
+})
+
+test('svg mirrors the drawing as vector elements', () => {
+  const { svg } = renderDrawing([
+    { type: 'points', id: 's1', begin: true, points: [0, 0, 10, 10], size: 3, color: '#123456' },
+    { type: 'shape', id: 's2', shape: 'ellipse', x1: 20, y1: 20, x2: 40, y2: 30, size: 2, color: '#abc', filled: true },
+    { type: 'fill', id: 's3', x: 5, y: 40, color: '#ff0000', opacity: 0.5 },
+  ], { width: 50, height: 50 })
+  assert.match(svg, /^<svg xmlns="http:\/\/www.w3.org\/2000\/svg" width="50" height="50"/)
+  assert.match(svg, /<path d="M0 0L10 10" fill="none" stroke="#123456" stroke-width="3"/)
+  assert.match(svg, /<ellipse cx="30" cy="25" rx="10" ry="5" fill="#aabbcc"/)
+  assert.match(svg, /fill="#ff0000" shape-rendering="crispEdges" fill-opacity="0.5"/)
+})
+
+test('rendering stops at the pixel budget', () => {
+  const strokes = Array.from({ length: 50 }, (_, i) => ({ type: 'shape', id: `s${i}`, shape: 'rect', x1: 0, y1: 0, x2: 99, y2: 99, size: 4, color: '#000', filled: true }))
+  assert.equal(renderDrawing(strokes, { width: 100, height: 100, maxPixels: 50000 }).truncated, true)
+  assert.equal(renderDrawing(strokes.slice(0, 1), { width: 100, height: 100, maxPixels: 50000 }).truncated, false)
+})
+
+test('the render worker gives the same images as rendering in place', async () => {
+  const strokes = [
+    { type: 'fill', x: 1, y: 1, color: '#00ff00' },
+    { type: 'shape', id: 's1', shape: 'rect', x1: 5, y1: 5, x2: 20, y2: 20, size: 2, color: '#0000ff', filled: true },
+  ]
+  const opts = { width: 40, height: 30 }
+  const [a, b] = await Promise.all([renderInBackground(strokes, opts), renderInBackground([], opts)])
+  const local = renderDrawing(strokes, opts)
+  assert.ok(Buffer.isBuffer(a.png))
+  assert.ok(a.png.equals(local.png))
+  assert.equal(a.svg, local.svg)
+  assert.deepEqual(readPng(a.png).pixel(30, 25), [0, 255, 0])
+  assert.deepEqual(readPng(b.png).pixel(30, 25), [255, 255, 255])
+})
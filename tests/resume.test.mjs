@@ -0,0 +1,63 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import { serializeDetachedRoom, restoreRoom } from '../src/domain/snapshot.js'
+import { enterResuming, resumeReady, leaveResuming } from '../src/domain/resume.js'
+import { findResumablePlayer, rebindPlayer } from '../src/domain/sessions.js'
+
+function midGameRoom() {
+  return {
+    code: 'AB12',
+    phase: 'drawing',
+    timer: 42,
+    currentWord: 'cat',
+    drawerIndex: 1,
+    hostId: 'sockA',
+    passwordHash: 'scrypt$salt$hash',
+    turnDrawerId: 'sockB',
+    playerOrder: ['sockA', 'sockB'],
+    players: new Map([
+      ['sockA', { id: 'sockA', name: 'Ada', tgId: '1', score: 150, connected: true }],
+      ['sockB', { id: 'sockB', name: 'Bo', tgId: '2', score: 90, connected: true }],
+    ]),
+    turnGuesses: [{ id: 'sockA', points: 150 }],
+    spectators: new Map([['sockC', { id: 'sockC' }]]),
+    kickVotes: new Map([['sockB', new Set(['sockA'])]]),
+  }
+}
+
+test('detached snapshots swap socket ids for seats and drop spectators', () => {
+  const json = serializeDetachedRoom(midGameRoom())
+  assert.ok(!json.includes('sock'))
+  const room = restoreRoom(json)
+  assert.deepEqual(Array.from(room.players.keys()), ['seat-1', 'seat-2'])
+  assert.deepEqual(room.playerOrder, ['seat-1', 'seat-2'])
+  assert.equal(room.hostId, 'seat-1')
+  assert.equal(room.turnDrawerId, 'seat-2')
+  assert.equal(room.turnGuesses[0].id, 'seat-1')
+  assert.equal(room.players.get('seat-2').score, 90)
+  assert.equal(room.spectators, undefined)
+  assert.equal(room.kickVotes, undefined)
+  // A protected room must come back protected
+  assert.equal(room.passwordHash, 'scrypt$salt$hash')
+})
+
+test('restored rooms wait for players, who reclaim seats by tgId', () => {
+  const room = enterResuming(restoreRoom(serializeDetachedRoom(midGameRoom())), { waitMs: 60000 })
+  assert.equal(room.phase, 'resuming')
+  assert.equal(room.resumePhase, 'drawing')
+  assert.ok(room.resumeDeadline > Date.now())
+  assert.equal(resumeReady(room), false)
+
+  rebindPlayer(room, findResumablePlayer(room, { tgId: '1' }), 'newA')
+  assert.equal(resumeReady(room), false)
+  rebindPlayer(room, findResumablePlayer(room, { tgId: '2' }), 'newB')
+  assert.equal(resumeReady(room), true)
+  assert.equal(room.hostId, 'newA')
+  assert.equal(room.turnDrawerId, 'newB')
+
+  const before = Date.now()
+  assert.equal(leaveResuming(room), 'drawing')
+  assert.equal(room.phase, 'drawing')
+  assert.equal(room.resumePhase, undefined)
+  assert.ok(room.turnEndsAt >= before + 42000)
+})
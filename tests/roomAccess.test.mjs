@@ -0,0 +1,34 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import { ROOM_CODE_RE, randomRoomCode, hashPassword, verifyPassword, createInvite, parseInvite, buildStartAppLink } from '../src/security/roomAccess.js'
+
+process.env.INVITE_SECRET = 'test-secret'
+
+test('random room codes match the code format', () => {
+  assert.equal(randomRoomCode().length, 4)
+  assert.equal(randomRoomCode(6).length, 6)
+  assert.ok(ROOM_CODE_RE.test(randomRoomCode(8)))
+})
+
+test('passwords verify only against their own hash', () => {
+  const stored = hashPassword('hunter22')
+  assert.equal(verifyPassword('hunter22', stored), true)
+  assert.equal(verifyPassword('hunter23', stored), false)
+  assert.equal(verifyPassword(undefined, stored), false)
+})
+
+test('invites round-trip and reject tampering', () => {
+  const token = createInvite('AB12', { oneTime: true })
+  const parsed = parseInvite(token)
+  assert.equal(parsed.ok, true)
+  assert.equal(parsed.code, 'AB12')
+  assert.equal(parsed.oneTime, true)
+  assert.equal(parseInvite(token.replace('AB12', 'AB13')).error, 'INVITE_INVALID')
+  assert.equal(parseInvite('junk').error, 'INVITE_INVALID')
+})
+
+test('startapp link carries the invite', () => {
+  const link = buildStartAppLink('https://t.me/skribblbot/app', { invite: 'AB12-x' })
+  assert.equal(new URL(link).searchParams.get('startapp'), 'i-AB12-x')
+  assert.equal(buildStartAppLink('', { code: 'AB12' }), null)
+})
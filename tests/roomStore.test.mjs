@@ -0,0 +1,73 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import { serializeRoom, restoreRoom } from '../src/domain/snapshot.js'
+import { createMemoryRoomStore } from '../src/store/memoryStore.js'
+import { createRedisRoomStore } from '../src/store/redisStore.js'
+import { roomCodeOf } from '../src/cluster/router.js'
+
+function sampleRoom() {
+  const timer = setInterval(() => {}, 60000)
+  const room = {
+    code: 'AB12',
+    phase: 'drawing',
+    players: new Map([['s1', { id: 's1', name: 'Ada', score: 120, _graceHandle: timer }]]),
+    bans: { socketIds: new Set(['x']), tgIds: new Set() },
+    _tickHandle: timer,
+    turnEndsAt: 123,
+  }
+  return { room, timer }
+}
+
+test('snapshots keep Maps and Sets and drop timers', () => {
+  const { room, timer } = sampleRoom()
+  const restored = restoreRoom(serializeRoom(room))
+  clearInterval(timer)
+  assert.equal(restored.players.get('s1').score, 120)
+  assert.equal(restored.players.get('s1')._graceHandle, undefined)
+  assert.ok(restored.bans.socketIds.has('x'))
+  assert.equal(restored._tickHandle, undefined)
+  assert.equal(restored.turnEndsAt, 123)
+  assert.equal(restoreRoom('{"v":0}'), null)
+})
+
+test('events are routed by room code, invite or startapp link', () => {
+  assert.equal(roomCodeOf('chat', { code: 'ab12 ' }), 'AB12')
+  assert.equal(roomCodeOf('join_room', { invite: 'CD34-x-y-0-z' }), 'CD34')
+  assert.equal(roomCodeOf('join_room', {}, { startParam: 'r-EF56' }), 'EF56')
+  assert.equal(roomCodeOf('quick_play', {}), null)
+})
+
+test('memory store owns exactly its local rooms', async () => {
+  const store = createMemoryRoomStore({ nodeId: 'n1' })
+  store.rooms.set('AB12', { code: 'AB12' })
+  assert.equal(await store.ownerOf('AB12'), 'n1')
+  assert.equal(await store.ownerOf('ZZZZ'), null)
+  assert.deepEqual(await store.orphans(), [])
+})
+
+// Needs a local Redis, e.g. REDIS_URL=redis://localhost:6379
+test('redis store leases, snapshots and orphans', { skip: !process.env.REDIS_URL }, async () => {
+  const prefix = `test${Date.now()}`
+  const a = createRedisRoomStore({ url: process.env.REDIS_URL, nodeId: 'a', leaseMs: 200, prefix })
+  const b = createRedisRoomStore({ url: process.env.REDIS_URL, nodeId: 'b', leaseMs: 200, prefix })
+  await a.connect()
+  await b.connect()
+  try {
+    const { room, timer } = sampleRoom()
+    clearInterval(timer)
+    assert.equal(await a.claim('AB12'), true)
+    assert.equal(await b.claim('AB12'), false)
+    await a.save(room)
+    assert.deepEqual(await b.orphans(), [])
+    await new Promise(resolve => setTimeout(resolve, 300))
+    assert.deepEqual(await b.orphans(), ['AB12'])
+    assert.equal(await b.claim('AB12'), true)
+    assert.equal((await b.load('AB12')).players.get('s1').name, 'Ada')
+    assert.deepEqual(await a.renew(['AB12']), [])
+    await b.release('AB12')
+    assert.equal(await a.ownerOf('AB12'), null)
+  } finally {
+    await a.close()
+    await b.close()
+  }
+})
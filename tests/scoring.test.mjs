@@ -0,0 +1,34 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import { guessScoreForTime, drawerBonus, getScoringStrategy } from '../src/domain/scoring.js'
+
+test('harder words pay more for guesser and drawer', () => {
+  assert.equal(guessScoreForTime(40, 'easy'), 140)
+  assert.equal(guessScoreForTime(40, 'medium'), 175)
+  assert.equal(guessScoreForTime(40, 'hard'), 210)
+  assert.equal(drawerBonus('easy'), 20)
+  assert.equal(drawerBonus('hard'), 30)
+  assert.equal(guessScoreForTime(40), 140)
+})
+
+test('skribbl strategy rewards early and fast guesses', () => {
+  const s = getScoringStrategy('skribbl')
+  const first = s.scoreGuess({ timeLeft: 60, turnTime: 75, rank: 0, difficulty: 'easy' })
+  const second = s.scoreGuess({ timeLeft: 60, turnTime: 75, rank: 1, difficulty: 'easy' })
+  assert.ok(first.points > second.points)
+  assert.deepEqual(Object.keys(first.breakdown), ['base', 'time', 'rank', 'multiplier'])
+})
+
+test('skribbl drawer payout scales with share and speed', () => {
+  const s = getScoringStrategy('skribbl')
+  const none = s.scoreDrawer({ guesses: [], guesserCount: 4, turnTime: 75 })
+  const half = s.scoreDrawer({ guesses: [{ timeLeft: 50 }, { timeLeft: 50 }], guesserCount: 4, turnTime: 75 })
+  const all = s.scoreDrawer({ guesses: Array(4).fill({ timeLeft: 50 }), guesserCount: 4, turnTime: 75 })
+  assert.equal(none.points, 0)
+  assert.ok(all.points > half.points && half.points > 0)
+})
+
+test('unknown strategy falls back to the default', () => {
+  assert.equal(getScoringStrategy('nope').id, 'skribbl')
+  assert.equal(getScoringStrategy('classic').scoreDrawer({ guesses: [{}, {}], difficulty: 'easy' }).points, 40)
+})
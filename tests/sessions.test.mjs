@@ -0,0 +1,44 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import { issueSessionToken, findResumablePlayer, markDisconnected, rebindPlayer } from '../src/domain/sessions.js'
+
+function makeRoom() {
+  const players = new Map()
+  players.set('a', { id: 'a', tgId: '1', sessionToken: 'tok-a', score: 10 })
+  players.set('b', { id: 'b', tgId: '2', sessionToken: 'tok-b', score: 20 })
+  players.set('c', { id: 'c', tgId: null, sessionToken: 'tok-c', score: 30 })
+  return { players, playerOrder: ['a', 'b', 'c'], drawerIndex: 1, hostId: 'b' }
+}
+
+test('session tokens are unique strings', () => {
+  assert.notEqual(issueSessionToken(), issueSessionToken())
+})
+
+test('finds an offline seat by session token or tgId', () => {
+  const room = makeRoom()
+  for (const p of room.players.values()) markDisconnected(p)
+  assert.equal(findResumablePlayer(room, { sessionToken: 'tok-c' }), 'c')
+  assert.equal(findResumablePlayer(room, { tgId: 2 }), 'b')
+  assert.equal(findResumablePlayer(room, { sessionToken: 'nope' }), null)
+})
+
+test('a connected player\'s seat is never resumable', () => {
+  const room = makeRoom()
+  assert.equal(findResumablePlayer(room, { sessionToken: 'tok-a' }), null)
+  assert.equal(findResumablePlayer(room, { tgId: '1' }), null)
+  room.players.get('a').connected = true
+  assert.equal(findResumablePlayer(room, { sessionToken: 'tok-a', tgId: '1' }), null)
+})
+
+test('rebind keeps order, score, host and drawer seat', () => {
+  const room = makeRoom()
+  markDisconnected(room.players.get('b'))
+  const p = rebindPlayer(room, 'b', 'b2')
+  assert.equal(p.id, 'b2')
+  assert.equal(p.connected, true)
+  assert.equal(p.score, 20)
+  assert.deepEqual(Array.from(room.players.keys()), ['a', 'b2', 'c'])
+  assert.deepEqual(room.playerOrder, ['a', 'b2', 'c'])
+  assert.equal(room.playerOrder[room.drawerIndex], 'b2')
+  assert.equal(room.hostId, 'b2')
+})
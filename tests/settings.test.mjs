@@ -0,0 +1,31 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import { defaultSettings, validateSettings, turnTimeFor } from '../src/domain/settings.js'
+
+test('validateSettings merges a partial update', () => {
+  const r = validateSettings({ maxRounds: 8, roundTime: 90 }, defaultSettings())
+  assert.equal(r.ok, true)
+  assert.equal(r.settings.maxRounds, 8)
+  assert.equal(r.settings.roundTime, 90)
+  assert.equal(r.settings.wordChoices, 3)
+})
+
+test('validateSettings rejects out-of-range values', () => {
+  const r = validateSettings({ maxRounds: 0, wordChoices: 2.5, roundTimeDecay: 'yes' })
+  assert.equal(r.ok, false)
+  assert.equal(r.errors.length, 3)
+})
+
+test('turn time decays by round and can be disabled', () => {
+  const s = defaultSettings()
+  assert.equal(turnTimeFor(s, 1), 75)
+  assert.equal(turnTimeFor(s, 2), 64)
+  assert.equal(turnTimeFor(s, 8), 53)
+  assert.equal(turnTimeFor({ ...s, roundTimeDecay: false }, 8), 75)
+})
+
+test('validateSettings rejects booleans and strings for numeric fields', () => {
+  const r = validateSettings({ maxRounds: true, hints: false, roundTime: '90', customRatio: true })
+  assert.equal(r.ok, false)
+  assert.equal(r.errors.length, 4)
+})
@@ -0,0 +1,46 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import { addSpectator, removeSpectator, listSpectators, takeQueuedSpectators } from '../src/domain/spectators.js'
+import { allGuessed } from '../src/domain/rooms.js'
+
+function room() {
+  const players = new Map([
+    ['d', { id: 'd', name: 'Drawer', score: 0, guessed: false, connected: true }],
+    ['g', { id: 'g', name: 'Guesser', score: 0, guessed: false, connected: true }],
+  ])
+  return { code: 'SPEC', players, playerOrder: ['d', 'g'], drawerIndex: 0 }
+}
+
+test('addSpectator stores a trimmed seatless entry and keeps details on re-add', () => {
+  const r = room()
+  addSpectator(r, { id: 's1', name: 'x'.repeat(40), tgId: 42, avatarUrl: 'https://a/b.png' })
+  assert.deepEqual(listSpectators(r), [{ id: 's1', name: 'x'.repeat(24), tgId: 42, avatarUrl: 'https://a/b.png', wantsToPlay: false }])
+  addSpectator(r, { id: 's1', wantsToPlay: true })
+  assert.deepEqual(listSpectators(r)[0], { id: 's1', name: 'x'.repeat(24), tgId: 42, avatarUrl: 'https://a/b.png', wantsToPlay: true })
+  assert.equal(r.players.has('s1'), false)
+  assert.equal(removeSpectator(r, 's1').id, 's1')
+  assert.equal(removeSpectator(r, 's1'), null)
+  assert.deepEqual(listSpectators(r), [])
+})
+
+test('spectators never hold a turn open', () => {
+  const r = room()
+  addSpectator(r, { id: 's1', name: 'Watcher' })
+  assert.equal(allGuessed(r), false)
+  r.players.get('g').guessed = true
+  assert.equal(allGuessed(r), true)
+})
+
+test('queued spectators are promoted in arrival order, up to the free seats', () => {
+  const r = room()
+  addSpectator(r, { id: 's1', name: 'One', wantsToPlay: true })
+  addSpectator(r, { id: 's2', name: 'Two' })
+  addSpectator(r, { id: 's3', name: 'Three', wantsToPlay: true })
+  addSpectator(r, { id: 's4', name: 'Four', wantsToPlay: true })
+  // Rematch seats them the way the server does: out of the queue and into players
+  for (const s of takeQueuedSpectators(r, 2)) r.players.set(s.id, { id: s.id, name: s.name, score: 0, guessed: false })
+  assert.deepEqual(Array.from(r.players.keys()), ['d', 'g', 's1', 's3'])
+  assert.deepEqual(listSpectators(r).map(s => s.id), ['s2', 's4'])
+  assert.deepEqual(takeQueuedSpectators(r, 0), [])
+  assert.deepEqual(takeQueuedSpectators({ players: new Map() }, 3), [])
+})
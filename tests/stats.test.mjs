@@ -0,0 +1,26 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import { wordStatKey, summarizeStats, headToHead } from '../src/domain/stats.js'
+
+test('word stat keys are safe Mongo field names', () => {
+  assert.equal(wordStatKey('Ice-Cream'), 'icecream')
+  assert.equal(wordStatKey('$a.b'), 'ab')
+  assert.equal(wordStatKey('...'), null)
+})
+
+test('summary derives averages, win rate and favorite words', () => {
+  const s = summarizeStats({ gamesPlayed: 4, wins: 1, wordsGuessed: 3, guessTimeTotal: 20, wordCounts: { cat: 2, dog: 5, axe: 2 } })
+  assert.equal(s.winRate, 0.25)
+  assert.equal(s.avgGuessTime, 6.7)
+  assert.deepEqual(s.favoriteWords.map(w => w.word), ['dog', 'axe', 'cat'])
+  assert.equal(summarizeStats().avgGuessTime, null)
+})
+
+test('head-to-head counts who placed higher', () => {
+  const games = [
+    { standings: [{ key: 'a', rank: 1 }, { key: 'b', rank: 2 }] },
+    { standings: [{ key: 'b', rank: 1 }, { key: 'a', rank: 1 }] },
+    { standings: [{ key: 'a', rank: 1 }] },
+  ]
+  assert.deepEqual(headToHead(games, 'a', 'b'), { games: 2, aAhead: 1, bAhead: 0, ties: 1 })
+})
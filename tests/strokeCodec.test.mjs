@@ -0,0 +1,26 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import { encodePointRuns, decodePointRuns, CODEC_VERSION } from '../src/domain/strokeCodec.js'
+
+test('point runs survive a binary round trip', () => {
+  const runs = [
+    { points: [100, 200, 103, 198, 110, 190], begin: true, size: 6, color: '#ff8000', opacity: 1 },
+    { points: [-50, 9000], tool: 'eraser', size: 40, color: '#fff', opacity: 0.5 },
+  ]
+  const buf = encodePointRuns(runs)
+  assert.equal(buf.length, 1 + 8 + 12 + 8 + 4)
+  const decoded = decodePointRuns(new Uint8Array(buf))
+  assert.deepEqual(decoded[0], { type: 'points', points: [100, 200, 103, 198, 110, 190], size: 6, color: '#ff8000', opacity: 1, begin: true })
+  assert.deepEqual(decoded[1].points, [-50, 9000])
+  assert.equal(decoded[1].tool, 'eraser')
+  assert.equal(decoded[1].color, '#ffffff')
+  assert.equal(Math.round(decoded[1].opacity * 100), 50)
+})
+
+test('malformed or oversized buffers are rejected', () => {
+  const buf = encodePointRuns([{ points: [1, 2, 3, 4], size: 4, color: '#000' }])
+  assert.equal(decodePointRuns(buf.subarray(0, buf.length - 1)), null)
+  assert.equal(decodePointRuns(Buffer.from([CODEC_VERSION + 1])), null)
+  assert.equal(decodePointRuns(buf, { maxPoints: 1 }), null)
+  assert.equal(decodePointRuns('not binary'), null)
+})
@@ -0,0 +1,122 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import { balanceTeams, smallestTeam, nextTeamDrawerIndex, noteTeamDrawer, countTeamTurn, dropFromTeamRotation, bankTeamScore, resetTeamRotation, guessRole, teamTotals } from '../src/domain/teams.js'
+import { getNextDrawerIndex, allGuessed, nextTurnOrRound } from '../src/domain/rooms.js'
+import { validateSettings } from '../src/domain/settings.js'
+
+// Players a1..aN on team 0 and b1..bN on team 1, interleaved in join order
+function teamRoom(teams, settings = {}) {
+  const players = new Map()
+  const order = []
+  const longest = Math.max(...teams.map(t => t.length))
+  for (let i = 0; i < longest; i++) {
+    teams.forEach((ids, team) => {
+      if (!ids[i]) return
+      players.set(ids[i], { id: ids[i], name: ids[i], score: 0, guessed: false, connected: true, team })
+      order.push(ids[i])
+    })
+  }
+  const room = { code: 'TEAMS', players, playerOrder: order, drawerIndex: 0, settings: { teamMode: true, ...settings } }
+  resetTeamRotation(room)
+  return room
+}
+
+// Pick and record the next drawer the way a turn change does
+function advance(room) {
+  room.drawerIndex = getNextDrawerIndex(room)
+  const id = room.playerOrder[room.drawerIndex]
+  noteTeamDrawer(room, id)
+  return id
+}
+
+test('new and unassigned players fill the smallest team', () => {
+  const room = teamRoom([['a1', 'a2'], ['b1']])
+  assert.equal(smallestTeam(room), 1)
+  room.players.set('c1', { id: 'c1', score: 0 })
+  room.players.set('c2', { id: 'c2', score: 0, team: 7 })
+  balanceTeams(room)
+  assert.equal(room.players.get('c1').team, 1)
+  assert.equal(room.players.get('c2').team, 0)
+  balanceTeams(room, { reset: true })
+  const sizes = [0, 0]
+  for (const p of room.players.values()) sizes[p.team] += 1
+  assert.deepEqual(sizes, [3, 2])
+})
+
+test('drawers alternate teams and go round each team', () => {
+  const room = teamRoom([['a1', 'a2', 'a3'], ['b1']])
+  const drawers = Array.from({ length: 6 }, () => advance(room))
+  assert.deepEqual(drawers, ['a1', 'b1', 'a2', 'b1', 'a3', 'b1'])
+})
+
+test('rotation survives the drawer and offline players leaving', () => {
+  const room = teamRoom([['a1', 'a2', 'a3'], ['b1', 'b2']])
+  assert.equal(advance(room), 'a1')
+  assert.equal(advance(room), 'b1')
+  assert.equal(advance(room), 'a2')
+  // The drawer leaves mid-turn: the order shrinks and a3 is still next for team 0
+  dropFromTeamRotation(room, 'a2')
+  room.players.delete('a2')
+  room.playerOrder = room.playerOrder.filter(id => id !== 'a2')
+  room.drawerIndex = 0
+  room.players.get('b2').connected = false
+  assert.equal(advance(room), 'b1')
+  assert.equal(advance(room), 'a3')
+  assert.equal(advance(room), 'b1')
+  assert.equal(advance(room), 'a1')
+  // A whole team gone: the remaining one keeps drawing
+  for (const id of ['b1', 'b2']) room.players.delete(id)
+  room.playerOrder = room.playerOrder.filter(id => room.players.has(id))
+  assert.equal(advance(room), 'a3')
+  assert.equal(nextTeamDrawerIndex({ ...room, players: new Map() }, []), -1)
+})
+
+test('a round lasts until the largest team has drawn through', () => {
+  const room = teamRoom([['a1', 'a2', 'a3'], ['b1']])
+  const wraps = Array.from({ length: 6 }, () => countTeamTurn(room))
+  assert.deepEqual(wraps, [false, false, false, false, false, true])
+})
+
+test('only teammates score unless the steal rule is on', () => {
+  const room = teamRoom([['a1', 'a2'], ['b1', 'b2']])
+  const p = id => room.players.get(id)
+  assert.equal(guessRole(room, p('a2'), 'a1'), 'guesser')
+  assert.equal(guessRole(room, p('b1'), 'a1'), 'blocked')
+  room.settings.teamGuessRule = 'steal'
+  assert.equal(guessRole(room, p('b1'), 'a1'), 'stealer')
+  // The turn is complete once the drawer's team has guessed
+  p('a2').guessed = true
+  assert.equal(allGuessed(room), true)
+})
+
+test('team totals include points banked by players who left', () => {
+  const room = teamRoom([['a1', 'a2'], ['b1']])
+  room.players.get('a1').score = 120
+  room.players.get('a2').score = 80
+  room.players.get('b1').score = 150
+  bankTeamScore(room, room.players.get('a2'))
+  room.players.delete('a2')
+  assert.deepEqual(teamTotals(room).map(t => [t.name, t.score, t.players]), [['Red', 200, ['a1']], ['Blue', 150, ['b1']]])
+  assert.equal(teamTotals({ players: new Map() }), null)
+})
+
+test('team settings are validated', () => {
+  assert.equal(validateSettings({ teamMode: true, teamCount: 3, teamGuessRule: 'steal' }).ok, true)
+  const r = validateSettings({ teamMode: 'yes', teamCount: 5, teamGuessRule: 'anyone' })
+  assert.equal(r.ok, false)
+  assert.equal(r.errors.length, 3)
+})
+
+test('the last team turn ends the game with team totals', () => {
+  const room = teamRoom([['a1'], ['b1']], { maxRounds: 1 })
+  room.round = 1
+  room.players.get('b1').score = 90
+  advance(room)
+  const sent = []
+  const io = { to: () => ({ emit: (ev, data) => sent.push({ ev, data }) }) }
+  assert.equal(nextTurnOrRound(io, room).ended, false)
+  assert.equal(nextTurnOrRound(io, room).ended, true)
+  const over = sent.filter(s => s.ev === 'game_over')
+  assert.equal(over.length, 1)
+  assert.deepEqual(over[0].data.teams.map(t => t.score), [0, 90])
+})
@@ -0,0 +1,58 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import crypto from 'crypto'
+import { parseInitData, verifyTelegramInitData, startParamTarget, groupChatMatches } from '../src/security/telegramAuth.js'
+
+const BOT_TOKEN = '123:test'
+
+function sign(fields, token = BOT_TOKEN, { loginWidgetKey = false } = {}) {
+  const params = new URLSearchParams(fields)
+  const data = Array.from(params.entries()).map(([k, v]) => `${k}=${v}`).sort().join('\n')
+  const secret = loginWidgetKey
+    ? crypto.createHash('sha256').update(token).digest()
+    : crypto.createHmac('sha256', 'WebAppData').update(token).digest()
+  params.set('hash', crypto.createHmac('sha256', secret).update(data).digest('hex'))
+  return params.toString()
+}
+
+test('verified initData exposes user and chat context', () => {
+  const initData = sign({
+    user: JSON.stringify({ id: 42, first_name: 'Ada', last_name: 'L', username: 'ada' }),
+    chat_instance: '-7001',
+    chat_type: 'supergroup',
+    start_param: 'r-AB12',
+    auth_date: String(Math.floor(Date.now() / 1000)),
+  })
+  const auth = parseInitData(initData, BOT_TOKEN)
+  assert.equal(auth.ok, true)
+  assert.deepEqual(auth.user, { id: '42', name: 'Ada L', username: 'ada', photoUrl: null })
+  assert.equal(auth.chatInstance, '-7001')
+  assert.equal(auth.chatType, 'supergroup')
+  assert.deepEqual(startParamTarget(auth.startParam), { code: 'AB12' })
+})
+
+test('tampered or foreign initData is rejected', () => {
+  const initData = sign({ user: JSON.stringify({ id: 42 }), auth_date: '1700000000' })
+  assert.equal(verifyTelegramInitData(initData, BOT_TOKEN), true)
+  assert.equal(verifyTelegramInitData(initData.replace('42', '43'), BOT_TOKEN), false)
+  assert.equal(parseInitData(sign({ auth_date: '1' }, 'other'), BOT_TOKEN).ok, false)
+  assert.equal(parseInitData('', BOT_TOKEN).ok, false)
+  // Signed with the Login Widget key instead of the Mini App one
+  assert.equal(verifyTelegramInitData(sign({ user: JSON.stringify({ id: 42 }), auth_date: '1700000000' }, BOT_TOKEN, { loginWidgetKey: true }), BOT_TOKEN), false)
+})
+
+test('stale auth_date is rejected even with a valid hash', () => {
+  const now = Date.now()
+  const initData = sign({ user: JSON.stringify({ id: 42 }), auth_date: String(Math.floor(now / 1000) - 7200) })
+  assert.equal(parseInitData(initData, BOT_TOKEN, { maxAgeSec: 3600, now }).error, 'AUTH_EXPIRED')
+  assert.equal(parseInitData(initData, BOT_TOKEN, { maxAgeSec: 86400, now }).ok, true)
+})
+
+test('a bot room is linked only to the group it was opened in', () => {
+  const group = { chatInstance: '-7001', chatType: 'group', chatId: '-100' }
+  assert.equal(groupChatMatches(group, {}), true)
+  assert.equal(groupChatMatches({ ...group, chatType: 'private' }, {}), false)
+  assert.equal(groupChatMatches(group, { botChatId: -100 }), true)
+  assert.equal(groupChatMatches({ ...group, chatId: '-200' }, { botChatId: -100 }), false)
+  assert.equal(groupChatMatches({ ...group, chatId: null }, { botChatId: -100 }), false)
+})
@@ -0,0 +1,34 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import { loadWordPacks, listWordPacks, getPackWords } from '../src/domain/wordpacks.js'
+
+test('bundled packs load with metadata', () => {
+  loadWordPacks()
+  const packs = listWordPacks()
+  assert.ok(packs.length > 0)
+  for (const p of packs) {
+    assert.ok(p.id && p.language && p.category && p.difficulty)
+    assert.ok(p.wordCount > 0)
+    assert.equal(p.words, undefined)
+  }
+  assert.ok(listWordPacks({ language: 'es' }).every(p => p.language === 'es'))
+})
+
+test('higher pack version wins and invalid packs are skipped', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'packs-'))
+  const pack = { id: 'demo', version: 1, language: 'en', category: 'x', difficulty: 'easy', words: ['old'] }
+  fs.writeFileSync(path.join(dir, 'a.json'), JSON.stringify(pack))
+  fs.writeFileSync(path.join(dir, 'b.json'), JSON.stringify({ ...pack, version: 2, words: ['New', 'new'] }))
+  fs.writeFileSync(path.join(dir, 'c.json'), JSON.stringify({ ...pack, id: 'bad', difficulty: 'impossible' }))
+  try {
+    loadWordPacks(dir)
+    assert.deepEqual(listWordPacks().map(p => [p.id, p.version]), [['demo', 2]])
+    assert.deepEqual(getPackWords(['demo']), ['new'])
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true })
+    loadWordPacks()
+  }
+})
@@ -0,0 +1,38 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import { validateCustomWords, getRandomChoices, maskWord } from '../src/domain/words.js'
+
+test('custom words are normalized and deduplicated', () => {
+  const r = validateCustomWords('Stand-up,  coffee   machine \nstand up\nCafé|coffee shop')
+  assert.equal(r.ok, true)
+  assert.deepEqual(r.words, [
+    { word: 'stand-up' },
+    { word: 'coffee machine' },
+    { word: 'café', accept: ['coffee shop'] },
+  ])
+  assert.equal(r.duplicates, 1)
+})
+
+test('custom words reject bad characters and lengths', () => {
+  const r = validateCustomWords(['ok', 'x', 'no<script>', 'a'.repeat(40)])
+  assert.equal(r.ok, false)
+  assert.equal(r.errors.length, 3)
+})
+
+test('custom mode only offers custom words', async () => {
+  const customWords = ['alpha', 'beta', 'gamma', 'delta']
+  const choices = await getRandomChoices(3, { customWords, mode: 'custom' })
+  assert.equal(choices.length, 3)
+  assert.ok(choices.every(c => customWords.includes(c.word)))
+  assert.ok(choices.every(c => ['easy', 'medium', 'hard'].includes(c.difficulty)))
+})
+
+test('choices offer one word from each tier', async () => {
+  const choices = await getRandomChoices(3, { packs: ['en-general', 'en-tricky'] })
+  assert.deepEqual(choices.map(c => c.difficulty), ['easy', 'medium', 'hard'])
+})
+
+test('mask keeps spaces and punctuation visible', () => {
+  assert.equal(maskWord("rock'n roll-x"), "____'_ ____-_")
+  assert.equal(maskWord('ice cream', new Set([0])), 'i__ _____')
+})